@@ -0,0 +1,135 @@
+/** -------------------- SERVICE WORKER -------------------- */
+/* Keeps the site usable with poor or no signal:
+   - page loads: network first, the cached app shell when offline
+   - hashed build assets (/assets/*): cache first, they never change; files the
+     current build no longer lists are dropped on activation and after each page load
+   - offer data (*.csv, platforms.json, data-manifest.json): the last known copy
+     straight away while a fresh one downloads in the background; open pages get an
+     "offer-data-updated" message when a file changed. Every stored copy carries
+     an X-Cached-At header so the page can say how old its data is.
+   The first visit's requests go out before the worker is in control, so install
+   stores everything that visit needed: the shell, every build asset (asset-list.json,
+   written by vite.config.js, names the search worker and lazy chunks too) and the
+   data files platforms.json lists. */
+
+const CACHE = "offers-v1";
+const SHELL = ["/", "/index.html", "/manifest.webmanifest", "/vite.svg"];
+const DATA_RE = /\.csv$|\/(platforms|data-manifest)\.json$/i;
+const ASSET_LIST = "/asset-list.json";
+
+async function precache() {
+  const cache = await caches.open(CACHE);
+  await cache.addAll(SHELL);
+
+  const res = await fetch(ASSET_LIST, { cache: "no-cache" });
+  if (!res.ok) throw new Error(`${ASSET_LIST} could not be downloaded`);
+  await cache.addAll(await res.json());
+
+  await precacheData(cache).catch((e) => console.warn("Offer data was not precached:", e));
+}
+
+/** platforms.json, then every file it lists; a missing CSV must not stop the install */
+async function precacheData(cache) {
+  const { text } = await refreshData(new Request("/platforms.json"), cache);
+  const platforms = text ? JSON.parse(text) : [];
+  const files = ["/data-manifest.json", "/allCards.csv"].concat(
+    (Array.isArray(platforms) ? platforms : [])
+      .filter((p) => p && p.csv)
+      .map((p) => `/${String(p.csv).trim().split("/").map(encodeURIComponent).join("/")}`)
+  );
+  await Promise.allSettled(files.map((f) => refreshData(new Request(f), cache)));
+}
+
+/** Drop cached /assets/ files the deployed build no longer lists (earlier deploys' hashes) */
+async function pruneAssets() {
+  const res = await fetch(ASSET_LIST, { cache: "no-cache" });
+  if (!res.ok) return;
+  const current = new Set(await res.json());
+  const cache = await caches.open(CACHE);
+  const stale = (await cache.keys()).filter((request) => {
+    const { pathname } = new URL(request.url);
+    return pathname.startsWith("/assets/") && !current.has(pathname);
+  });
+  await Promise.all(stale.map((request) => cache.delete(request)));
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => pruneAssets().catch(() => {}))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") event.respondWith(servePage(event));
+  else if (DATA_RE.test(url.pathname)) event.respondWith(serveData(event));
+  else if (url.pathname.startsWith("/assets/")) event.respondWith(serveAsset(request));
+});
+
+async function servePage(event) {
+  const { request } = event;
+  const cache = await caches.open(CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) {
+      cache.put("/index.html", res.clone());
+      // sw.js itself rarely changes, so a new deploy shows up here rather than in activate
+      event.waitUntil(pruneAssets().catch(() => {}));
+    }
+    return res;
+  } catch {
+    return (await cache.match("/index.html")) || Response.error();
+  }
+}
+
+async function serveAsset(request) {
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const res = await fetch(request);
+  if (res.ok) cache.put(request, res.clone());
+  return res;
+}
+
+/** Download a data file; successful copies are stamped and stored: {response, text} */
+async function refreshData(request, cache) {
+  const res = await fetch(request, { cache: "no-cache" });
+  if (!res.ok) return { response: res, text: null };
+  const text = await res.text();
+  const headers = new Headers(res.headers);
+  headers.set("X-Cached-At", new Date().toISOString());
+  const response = new Response(text, { status: res.status, statusText: res.statusText, headers });
+  await cache.put(request, response.clone());
+  return { response, text };
+}
+
+async function serveData(event) {
+  const { request } = event;
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(request);
+  const refresh = refreshData(request, cache);
+  if (!cached) return (await refresh).response;
+
+  event.waitUntil(
+    refresh
+      .then(async ({ text }) => {
+        if (text === null || text === (await cached.clone().text())) return;
+        const pages = await self.clients.matchAll({ type: "window" });
+        const path = decodeURIComponent(new URL(request.url).pathname);
+        pages.forEach((page) => page.postMessage({ type: "offer-data-updated", path }));
+      })
+      .catch(() => {}) // offline: the cached copy is all there is
+  );
+  return cached;
+}
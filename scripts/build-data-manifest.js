@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/** -------------------- DATA MANIFEST BUILDER -------------------- */
+/* Writes public/data-manifest.json: for every offer CSV in platforms.json, when it
+   last changed, a content hash and a short fingerprint of each offer (see
+   src/dataManifest.js). Run it after editing offer data; files whose hash is
+   unchanged keep their old date. The manifest it replaces is kept under
+   public/data-history/ so the changelog page can diff versions.
+
+   Usage: npm run data:manifest [-- --dir=public] */
+
+import { execFileSync } from "node:child_process";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import Papa from "papaparse";
+import { DATA_HISTORY_DIR, DATA_MANIFEST_FILE, archivePath } from "../src/dataManifest.js";
+import {
+  PLATFORMS_FILE,
+  couponCode,
+  groupOfferRows,
+  normalizePlatforms,
+  offerKey,
+  offerTitle,
+} from "../src/offerData.js";
+
+const args = process.argv.slice(2);
+const dirArg = args.find((a) => a.startsWith("--dir="));
+const dataDir = path.resolve(dirArg ? dirArg.slice("--dir=".length) : "public");
+const manifestPath = path.join(dataDir, DATA_MANIFEST_FILE);
+
+/** -------------------- HELPERS -------------------- */
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+const readJson = (full) => (fs.existsSync(full) ? JSON.parse(fs.readFileSync(full, "utf8")) : null);
+
+/** Last commit touching the file, for files the manifest has not seen before */
+function lastCommitDate(full) {
+  try {
+    const out = execFileSync("git", ["log", "-1", "--format=%cI", "--", full], {
+      cwd: dataDir,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+    }).trim();
+    return out ? new Date(out).toISOString() : null;
+  } catch {
+    return null;
+  }
+}
+
+/** {keyHash: {title, coupon, hash}} for the offers as the app groups them */
+function offerFingerprints(text) {
+  const { data } = Papa.parse(text, { header: true, skipEmptyLines: true });
+  const rows = data.filter((row) => Object.values(row).some((v) => String(v ?? "").trim()));
+  const offers = {};
+  for (const offer of groupOfferRows(rows)) {
+    const cells = Object.keys(offer)
+      .sort()
+      .map((k) => [k, String(offer[k] ?? "").trim()]);
+    offers[sha256(offerKey(offer)).slice(0, 16)] = {
+      title: offerTitle(offer),
+      coupon: couponCode(offer),
+      hash: sha256(JSON.stringify(cells)).slice(0, 16),
+    };
+  }
+  return { rows: rows.length, offers };
+}
+
+/** -------------------- MAIN -------------------- */
+const now = new Date().toISOString();
+const previous = readJson(manifestPath);
+const { platforms, problems } = normalizePlatforms(readJson(path.join(dataDir, PLATFORMS_FILE)));
+problems.forEach((msg) => console.warn(`${PLATFORMS_FILE}: ${msg}`));
+
+const files = {};
+for (const { csv } of platforms) {
+  const full = path.join(dataDir, csv);
+  if (!fs.existsSync(full)) {
+    console.warn(`skipping ${csv}: file is missing`);
+    continue;
+  }
+  const text = fs.readFileSync(full, "utf8");
+  const hash = `sha256:${sha256(text)}`;
+  const old = previous && previous.files && previous.files[csv];
+  const updatedAt = old && old.hash === hash ? old.updatedAt : old ? now : lastCommitDate(full) || now;
+  files[csv] = { updatedAt, hash, ...offerFingerprints(text) };
+}
+
+const changed =
+  !previous ||
+  JSON.stringify(Object.keys(files).sort()) !== JSON.stringify(Object.keys(previous.files || {}).sort()) ||
+  Object.entries(files).some(([csv, f]) => previous.files[csv].hash !== f.hash);
+
+if (!changed) {
+  console.log(`${DATA_MANIFEST_FILE} is up to date`);
+  process.exit(0);
+}
+
+const history = previous ? [...(previous.history || [])] : [];
+if (previous) {
+  const archived = archivePath(previous.generatedAt);
+  fs.mkdirSync(path.join(dataDir, DATA_HISTORY_DIR), { recursive: true });
+  const snapshot = { ...previous };
+  delete snapshot.history; // each archived copy only describes itself
+  fs.writeFileSync(path.join(dataDir, archived), `${JSON.stringify(snapshot, null, 2)}\n`);
+  history.unshift(archived);
+}
+
+fs.writeFileSync(
+  manifestPath,
+  `${JSON.stringify({ generatedAt: now, history, files }, null, 2)}\n`
+);
+for (const [csv, f] of Object.entries(files)) {
+  console.log(`${csv}: ${f.rows} rows, ${Object.keys(f.offers).length} offers, updated ${f.updatedAt}`);
+}
+console.log(`wrote ${path.relative(process.cwd(), manifestPath)}`);
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/** -------------------- OFFER DATA VALIDATOR -------------------- */
+/* Checks public/platforms.json and every offer CSV it lists (plus allCards.csv)
+   against the columns the app understands and exits non-zero when something is
+   wrong, so data commits can be gated on it.
+
+   Usage: npm run validate:data [-- --strict] [-- --dir=public]
+     --strict  also fail on warnings (card names missing from allCards.csv) */
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import Papa from "papaparse";
+import {
+  CARD_LIST_COLUMNS,
+  checkOfferRow,
+  isWellFormedUrl,
+  knownCardKeys,
+  rowSignature,
+  unknownColumns,
+} from "../src/offerChecks.js";
+import { DATA_MANIFEST_FILE } from "../src/dataManifest.js";
+import { LIST_FIELDS, PLATFORMS_FILE, normalizePlatforms } from "../src/offerData.js";
+
+const args = process.argv.slice(2);
+const strict = args.includes("--strict");
+const dirArg = args.find((a) => a.startsWith("--dir="));
+const dataDir = path.resolve(dirArg ? dirArg.slice("--dir=".length) : "public");
+
+const ALL_CARDS_FILE = "allCards.csv";
+
+/** -------------------- HELPERS -------------------- */
+const problems = []; // { level, file, line, message }
+
+const report = (level, file, line, message) =>
+  problems.push({ level, file, line, message });
+
+/** Header is line 1, so data row i sits on line i + 2 (ignoring multi-line cells) */
+const lineOf = (rowIndex) => rowIndex + 2;
+
+function readCsv(file) {
+  const full = path.join(dataDir, file);
+  if (!fs.existsSync(full)) {
+    report("error", file, null, "file is missing");
+    return null;
+  }
+  const parsed = Papa.parse(fs.readFileSync(full, "utf8"), {
+    header: true,
+    skipEmptyLines: true,
+  });
+  for (const err of parsed.errors || []) {
+    report(
+      "error",
+      file,
+      Number.isInteger(err.row) ? lineOf(err.row) : null,
+      `parse error: ${err.message}`
+    );
+  }
+  return parsed;
+}
+
+/** -------------------- CHECKS -------------------- */
+function loadPlatforms() {
+  const full = path.join(dataDir, PLATFORMS_FILE);
+  if (!fs.existsSync(full)) {
+    report("error", PLATFORMS_FILE, null, "file is missing");
+    return [];
+  }
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(full, "utf8"));
+  } catch (e) {
+    report("error", PLATFORMS_FILE, null, `invalid JSON: ${e.message}`);
+    return [];
+  }
+  const { platforms, problems: manifestProblems } = normalizePlatforms(json);
+  manifestProblems.forEach((msg) => report("error", PLATFORMS_FILE, null, msg));
+  for (const p of platforms) {
+    if (p.logo && !isWellFormedUrl(p.logo)) {
+      report("error", PLATFORMS_FILE, null, `malformed logo for "${p.id}"`);
+    }
+  }
+  return platforms;
+}
+
+function loadKnownCards() {
+  const parsed = readCsv(ALL_CARDS_FILE);
+  if (!parsed) return null;
+
+  const fields = parsed.meta.fields || [];
+  for (const col of unknownColumns(fields, CARD_LIST_COLUMNS)) {
+    report("error", ALL_CARDS_FILE, 1, `unknown column "${col}"`);
+  }
+  const cardColumns = [...LIST_FIELDS.credit, ...LIST_FIELDS.debit];
+  if (!fields.some((col) => cardColumns.includes(col))) {
+    report(
+      "error",
+      ALL_CARDS_FILE,
+      1,
+      `needs an "${LIST_FIELDS.credit[0]}" or "${LIST_FIELDS.debit[0]}" column`
+    );
+  }
+  return knownCardKeys(parsed.data);
+}
+
+function checkOfferFile(file, knownCards) {
+  const parsed = readCsv(file);
+  if (!parsed) return null;
+
+  for (const col of unknownColumns(parsed.meta.fields)) {
+    report("error", file, 1, `unknown column "${col}"`);
+  }
+
+  const seenRows = new Map(); // serialized row -> first line
+  const unmatched = new Map(); // card name -> first line
+  parsed.data.forEach((row, i) => {
+    const line = lineOf(i);
+
+    const serialized = rowSignature(row);
+    if (seenRows.has(serialized)) {
+      report("error", file, line, `duplicate of line ${seenRows.get(serialized)}`);
+    } else {
+      seenRows.set(serialized, line);
+    }
+
+    for (const p of checkOfferRow(row, knownCards)) {
+      if (p.card) {
+        if (!unmatched.has(p.card)) unmatched.set(p.card, line);
+      } else {
+        report(p.level, file, line, p.message);
+      }
+    }
+  });
+
+  for (const [name, line] of unmatched) {
+    report("warning", file, line, `card "${name}" does not match any ${ALL_CARDS_FILE} entry (add an alias to src/cardAliases.json?)`);
+  }
+  return parsed.data.length;
+}
+
+/** Offer CSVs edited since public/data-manifest.json was last rebuilt */
+function checkManifest(files) {
+  const full = path.join(dataDir, DATA_MANIFEST_FILE);
+  if (!fs.existsSync(full)) return;
+  const manifest = JSON.parse(fs.readFileSync(full, "utf8"));
+  for (const file of files) {
+    const csv = path.join(dataDir, file);
+    if (!fs.existsSync(csv)) continue;
+    const hash = `sha256:${crypto.createHash("sha256").update(fs.readFileSync(csv)).digest("hex")}`;
+    const entry = manifest.files && manifest.files[file];
+    if (!entry || entry.hash !== hash) {
+      report("warning", file, null, `changed since ${DATA_MANIFEST_FILE} was built (run npm run data:manifest)`);
+    }
+  }
+}
+
+/** -------------------- MAIN -------------------- */
+const platforms = loadPlatforms();
+const offerFiles = platforms.map((p) => p.csv);
+const knownCards = loadKnownCards();
+const rowCounts = {};
+for (const file of offerFiles) {
+  rowCounts[file] = checkOfferFile(file, knownCards);
+}
+checkManifest(offerFiles);
+
+const errors = problems.filter((p) => p.level === "error");
+const warnings = problems.filter((p) => p.level === "warning");
+
+console.log(`Offer data report for ${path.relative(process.cwd(), dataDir) || "."}/\n`);
+for (const file of [PLATFORMS_FILE, ALL_CARDS_FILE, ...offerFiles]) {
+  const own = problems.filter((p) => p.file === file);
+  const rows = Number.isInteger(rowCounts[file]) ? ` (${rowCounts[file]} rows)` : "";
+  console.log(`${own.length ? "✖" : "✔"} ${file}${rows}`);
+  for (const p of own) {
+    const where = p.line ? `line ${p.line}: ` : "";
+    console.log(`    ${p.level === "error" ? "error  " : "warning"} ${where}${p.message}`);
+  }
+}
+console.log(`\n${errors.length} error(s), ${warnings.length} warning(s)`);
+
+if (errors.length || (strict && warnings.length)) process.exit(1);
@@ -1,37 +1,84 @@
-import React, { useEffect, useState } from "react";
+import React, { Suspense, lazy, useEffect, useRef, useState } from "react";
+import PropTypes from "prop-types";
 import axios from "axios";
 import Papa from "papaparse";
+import {
+  LIST_FIELDS,
+  PLATFORMS_FILE,
+  bankOf,
+  canonicalCardName,
+  canonicalizeText,
+  cardKey,
+  couponCode,
+  dedupWrappers,
+  entriesWhereKey,
+  firstField,
+  firstFieldByContains,
+  getVariant,
+  groupOfferRows,
+  isNonPaymentOffer,
+  issuerOf,
+  normalizePlatforms,
+  offerInstruments,
+  offerKey,
+  offerTitle,
+  splitList,
+  toNorm,
+} from "./offerData";
+import {
+  CASHBACK_DISCOUNTS,
+  DEFAULT_CASHBACK_DISCOUNT,
+  bestStackFor,
+  canStackWithCoupon,
+  compareBySavings,
+  computeSavings,
+  describeDiscount,
+  describeSavings,
+  formatRupees,
+  isValidOnDay,
+  parseOfferRestrictions,
+  parseOfferStacking,
+  parseOfferTerms,
+  parseOfferValidity,
+  payoutLabel,
+  pickTopOffer,
+  restrictionBadges,
+  validityBadge,
+  validityStatus,
+} from "./offerTerms";
+import { buildSearchIndex, searchCards } from "./cardSearch";
+import {
+  LANGUAGES,
+  formatDateTime,
+  formatPercent,
+  guessLanguage,
+  isLanguage,
+  setLanguage,
+  t,
+} from "./i18n";
+import { allCouponCodes, downloadBlob, drawOffersImage, offersSummaryText } from "./offerShare";
+import {
+  DEFAULT_OFFER_FILTERS,
+  OFFER_SORTS,
+  applyOfferFilters,
+  isFiltering,
+} from "./offerFilters";
+import {
+  DATA_MANIFEST_FILE,
+  archiveDate,
+  describeUpdated,
+  diffManifests,
+} from "./dataManifest";
 import "./App.css";
 
 /** -------------------- CONFIG -------------------- */
-const LIST_FIELDS = {
-  credit: ["Eligible Credit Cards", "Eligible Cards"],
-  debit: ["Eligible Debit Cards", "Applicable Debit Cards"],
-  upi: ["UPI", "Eligible UPI", "UPI Options"],
-  netbanking: ["Net Banking", "NetBanking", "Net Banking Options", "NetBanking Options"],
-  title: ["Offer Title", "Title"],
-  image: ["Image", "Credit Card Image", "Offer Image", "image", "Image URL"],
-  link: ["Link", "Offer Link"],
-  desc: ["Description", "Details", "Offer Description", "Flight Benefit"],
-};
-
-const MAX_SUGGESTIONS = 50;
+const SEARCH_DEBOUNCE_MS = 120;
 
-/** Sites that should display the red per-card “Applicable only on {variant} variant” note */
-const VARIANT_NOTE_SITES = new Set(["Swiggy", "Zomato"]);
+/* Platforms (name, CSV, logo fallback, variant-note flag, order) come from
+   public/platforms.json — see normalizePlatforms() in offerData.js */
 
 /** -------------------- IMAGE FALLBACKS -------------------- */
-/* Keys must match wrapper.site lowercased */
-const FALLBACK_IMAGE_BY_SITE = {
-  swiggy:
-    "https://bsmedia.business-standard.com/_media/bs/img/article/2023-07/17/full/1689574606-2001.png",
-  zomato:
-    "https://c.ndtvimg.com/2024-06/mr51ho8o_zomato-logo-stock-image_625x300_03_June_24.jpg?im=FeatureCrop,algorithm=dnn,width=545,height=307",
-  eatsure:
-    "https://cdn.gyftr.com/sbiapp/images/brands/logos/9930_Logo.png",
-  magicpin:
-    "https://static.magicpin.com/samara/static/images/home/about-us/magicpin-logo.svg",
-};
+/* Fallback = the platform's logo from the manifest */
 
 function isUsableImage(val) {
   if (!val) return false;
@@ -42,9 +89,7 @@ function isUsableImage(val) {
 }
 
 /** Decide which image to show + whether it's a fallback (logo) */
-function resolveImage(siteKey, candidate) {
-  const key = String(siteKey || "").toLowerCase();
-  const fallback = FALLBACK_IMAGE_BY_SITE[key];
+function resolveImage(fallback, candidate) {
   const usingFallback = !isUsableImage(candidate) && !!fallback;
   return {
     src: usingFallback ? fallback : candidate,
@@ -53,9 +98,7 @@ function resolveImage(siteKey, candidate) {
 }
 
 /** If the image fails to load, switch to fallback and mark as fallback for CSS */
-function handleImgError(e, siteKey) {
-  const key = String(siteKey || "").toLowerCase();
-  const fallback = FALLBACK_IMAGE_BY_SITE[key];
+function handleImgError(e, fallback) {
   const el = e.currentTarget;
   if (fallback && el.src !== fallback) {
     el.src = fallback;
@@ -66,199 +109,273 @@ function handleImgError(e, siteKey) {
 }
 
 /** -------------------- HELPERS -------------------- */
-const toNorm = (s) =>
-  String(s || "")
-    .toLowerCase()
-    .normalize("NFKD")
-    .replace(/[^\w\s]/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-
-function firstField(obj, keys) {
-  for (const k of keys) {
-    if (
-      obj &&
-      Object.prototype.hasOwnProperty.call(obj, k) &&
-      obj[k] !== undefined &&
-      obj[k] !== null &&
-      String(obj[k]).trim() !== ""
-    ) {
-      return obj[k];
-    }
+/** Dropdown entry builder; "bank" entries stand for every card of that issuer */
+function makeEntry(raw, type) {
+  if (type === "bank") {
+    const bank = String(raw).trim();
+    return { type, display: bank, baseNorm: toNorm(bank), cardKey: toNorm(bank) };
   }
-  return undefined;
+  const base = canonicalCardName(raw);
+  return { type, display: base, baseNorm: toNorm(base), cardKey: cardKey(base) };
 }
 
-/** case-insensitive find for keys that CONTAIN a substring */
-function firstFieldByContains(obj, substr) {
-  if (!obj) return undefined;
-  const target = String(substr).toLowerCase();
-  for (const k of Object.keys(obj)) {
-    if (String(k).toLowerCase().includes(target)) {
-      const v = obj[k];
-      if (v !== undefined && v !== null && String(v).trim() !== "") return v;
-    }
+/** Dropdown entries sorted by name, with `incoming` ones added unless already listed */
+function mergeEntries(prev, incoming) {
+  if (!incoming.length) return prev;
+  const map = new Map(prev.map((e) => [e.cardKey, e]));
+  incoming.forEach((e) => {
+    if (!map.has(e.cardKey)) map.set(e.cardKey, e);
+  });
+  return Array.from(map.values()).sort((a, b) => a.display.localeCompare(b.display));
+}
+
+/** Stable id for a picked instrument (same card can be credit AND debit) */
+const entryId = (e) => `${e.type}:${e.cardKey}`;
+
+/** t() with React elements in place of some placeholders ("only on <em>X</em> variant") */
+function tNodes(key, nodes) {
+  const marks = Object.fromEntries(Object.keys(nodes).map((k) => [k, `\u0000${k}\u0000`]));
+  return t(key, marks)
+    .split("\u0000")
+    .map((part, i) => (i % 2 ? <React.Fragment key={i}>{nodes[part]}</React.Fragment> : part));
+}
+
+/** -------------------- SEARCH COMBOBOX -------------------- */
+const LISTBOX_ID = "card-search-listbox";
+const optionId = (idx) => `card-search-option-${idx}`;
+
+/** Next selectable row from `from` in direction `step` (±1), skipping headings and wrapping */
+function nextOptionIndex(items, from, step) {
+  const n = items.length;
+  for (let i = 1; i <= n; i++) {
+    const idx = (((from + step * i) % n) + n) % n;
+    if (items[idx] && items[idx].type !== "heading") return idx;
   }
-  return undefined;
+  return -1;
 }
 
-/** return all entries where predicate(key) is true */
-function entriesWhereKey(obj, predicate) {
-  if (!obj) return [];
-  const out = [];
-  for (const k of Object.keys(obj)) {
-    if (predicate(String(k))) {
-      const v = obj[k];
-      if (v !== undefined && v !== null && String(v).trim() !== "") {
-        out.push({ key: k, value: v });
-      }
-    }
+/** Search runs in a worker (cardSearch.worker.js); null where workers are unavailable */
+function createSearchWorker() {
+  if (typeof Worker === "undefined") return null;
+  try {
+    return new Worker(new URL("./cardSearch.worker.js", import.meta.url), { type: "module" });
+  } catch (e) {
+    console.warn("Search worker unavailable, searching on the main thread:", e);
+    return null;
   }
-  return out;
 }
 
-/** split across many separators */
-function splitList(val) {
-  if (!val) return [];
-  return String(val)
-    .split(/,|\/|;|\||\n|\r|\t|\band\b|\bAND\b|•/g)
-    .map((s) => s.trim())
-    .filter(Boolean);
+/** Dropdown rows (headings + entries) from searchCards() sections */
+function showSearchResult(sections, setFilteredCards, setNoMatches) {
+  setNoMatches(!sections.length);
+  setFilteredCards(
+    sections.flatMap(({ type, names }) => [
+      { type: "heading", section: type },
+      ...names.map((name) => makeEntry(name, type)),
+    ])
+  );
 }
 
-/** Strip trailing parentheses */
-function getBase(name) {
-  if (!name) return "";
-  return String(name).replace(/\s*\([^)]*\)\s*$/, "").trim();
+function describeMatchCount(count) {
+  if (!count) return t("search.noMatches");
+  return t("search.matches", { count });
 }
 
-/** Variant if present at end-in-parens */
-function getVariant(name) {
-  if (!name) return "";
-  const m = String(name).match(/\(([^)]+)\)\s*$/);
-  return m ? m[1].trim() : "";
+/** -------------------- INSTRUMENT BROWSER -------------------- */
+/** [{bank, total, items}] for the browser, filtered by bank / instrument name */
+function groupByBank(items, filter) {
+  const q = toNorm(canonicalizeText(filter));
+  const groups = new Map();
+  for (const it of items) {
+    if (q && !toNorm(`${it.bank} ${it.name} ${t(`type.${it.type}`)}`).includes(q)) continue;
+    if (!groups.has(it.bank)) groups.set(it.bank, { bank: it.bank, total: 0, items: [] });
+    const g = groups.get(it.bank);
+    g.items.push(it);
+    g.total += it.count;
+  }
+  const list = Array.from(groups.values());
+  list.forEach((g) =>
+    g.items.sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+  );
+  return list.sort((a, b) => a.bank.localeCompare(b.bank));
 }
 
-/** Canonicalize some common brand spellings */
-function brandCanonicalize(text) {
-  let s = String(text || "");
-  s = s.replace(/\bMakemytrip\b/gi, "MakeMyTrip");
-  s = s.replace(/\bIcici\b/gi, "ICICI");
-  s = s.replace(/\bHdfc\b/gi, "HDFC");
-  s = s.replace(/\bSbi\b/gi, "SBI");
-  s = s.replace(/\bIdfc\b/gi, "IDFC");
-  s = s.replace(/\bPnb\b/gi, "PNB");
-  s = s.replace(/\bRbl\b/gi, "RBL");
-  s = s.replace(/\bYes\b/gi, "YES");
-  return s;
+/** Group card entries by issuing bank (unknown issuers left out), dropping duplicates */
+function cardsByIssuer(entries) {
+  const byBank = {};
+  for (const e of entries) {
+    const bank = issuerOf(e.display);
+    if (!bank) continue;
+    const list = byBank[bank] || (byBank[bank] = []);
+    if (!list.some((c) => entryId(c) === entryId(e))) list.push(e);
+  }
+  return Object.fromEntries(
+    Object.keys(byBank)
+      .sort((a, b) => a.localeCompare(b))
+      .map((bank) => [bank, byBank[bank]])
+  );
 }
 
-/** Levenshtein distance */
-function lev(a, b) {
-  a = toNorm(a);
-  b = toNorm(b);
-  const n = a.length,
-    m = b.length;
-  if (!n) return m;
-  if (!m) return n;
-  const d = Array.from({ length: n + 1 }, () => Array(m + 1).fill(0));
-  for (let i = 0; i <= n; i++) d[i][0] = i;
-  for (let j = 0; j <= m; j++) d[0][j] = j;
-  for (let i = 1; i <= n; i++) {
-    for (let j = 1; j <= m; j++) {
-      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
-      d[i][j] = Math.min(
-        d[i - 1][j] + 1,
-        d[i][j - 1] + 1,
-        d[i - 1][j - 1] + cost
-      );
-    }
+/** Split a platform's wrappers by the exact set of cards that unlock them,
+ *  keeping the list's ranking (groups ordered by their best offer) */
+function groupByCards(list) {
+  const groups = new Map();
+  for (const w of list) {
+    const cards = w.instruments || [];
+    const key = cards.map(entryId).sort().join("|");
+    if (!groups.has(key)) groups.set(key, { key, cards, items: [] });
+    groups.get(key).items.push(w);
   }
-  return d[n][m];
+  return Array.from(groups.values());
 }
 
-function scoreCandidate(q, cand) {
-  const qs = toNorm(q);
-  const cs = toNorm(cand);
-  if (!qs) return 0;
-  if (cs.includes(qs)) return 100;
+/** "HDFC Millennia Credit Card, HDFC Regalia Credit Card +3 more" */
+function describeCards(cards, shown = 2) {
+  const names = cards.map((c) => c.display);
+  const more = names.length - shown;
+  const listed = names.slice(0, shown).join(", ");
+  return more > 0 ? t("results.moreCards", { names: listed, count: more }) : listed;
+}
 
-  const qWords = qs.split(" ").filter(Boolean);
-  const cWords = cs.split(" ").filter(Boolean);
+/** -------------------- SHAREABLE URL -------------------- */
+/* Selection lives in the query string as type/card pairs, e.g.
+   ?type=credit&card=hdfc-swiggy-credit-card (repeated for several methods) */
+const SELECTION_TYPES = ["credit", "debit", "upi", "netbanking", "bank"];
+
+const entrySlug = (e) => e.baseNorm.replace(/ /g, "-");
+
+/** [{type, slug}] from a location.search string */
+function readSelectionParams(search) {
+  const params = new URLSearchParams(search);
+  const types = params.getAll("type");
+  return params
+    .getAll("card")
+    .map((slug, i) => ({ type: types[i] || "credit", slug: toNorm(slug).replace(/ /g, "-") }))
+    .filter((p) => p.slug && SELECTION_TYPES.includes(p.type));
+}
 
-  const matchingWords = qWords.filter((qw) =>
-    cWords.some((cw) => cw.includes(qw))
-  ).length;
-  const sim = 1 - lev(qs, cs) / Math.max(qs.length, cs.length);
-  return (matchingWords / Math.max(1, qWords.length)) * 0.7 + sim * 0.3;
+/** location.search for the given selection, keeping unrelated params */
+function selectionToSearch(search, entries) {
+  const params = new URLSearchParams(search);
+  params.delete("type");
+  params.delete("card");
+  for (const e of entries) {
+    params.append("type", e.type);
+    params.append("card", entrySlug(e));
+  }
+  const qs = params.toString();
+  return qs ? `?${qs}` : "";
 }
 
-/** 🔹 Generic fuzzy name matcher: handles typos like "selct", "reglia", etc. */
-function isFuzzyNameMatch(query, label) {
-  const q = toNorm(query);
-  const l = toNorm(label);
-  if (!q || !l) return false;
-
-  // direct substring
-  if (l.includes(q)) return true;
-
-  // whole-string similarity
-  const wholeDist = lev(q, l);
-  const wholeSim = 1 - wholeDist / Math.max(q.length, l.length);
-  if (wholeSim >= 0.6) return true;
-
-  // per-word similarity (e.g. "selct" ≈ "select")
-  const qWords = q.split(" ").filter(Boolean);
-  const lWords = l.split(" ").filter(Boolean);
-  for (const qw of qWords) {
-    if (qw.length < 3) continue;
-    for (const lw of lWords) {
-      if (lw.length < 3) continue;
-      const d = lev(qw, lw);
-      const sim = 1 - d / Math.max(qw.length, lw.length);
-      if (sim >= 0.7) return true;
+/** -------------------- SAVED WALLET -------------------- */
+/* "My cards" persisted in localStorage together with the offers matched for them on
+   the last visit: {methods: [{type, slug}], seen: {key: {platformId, site, title, coupon}},
+   settled: [platform ids whose offers `seen` covers], seenAt} */
+const WALLET_STORAGE_KEY = "offerWallet";
+
+function loadWallet() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(WALLET_STORAGE_KEY) || "null");
+    if (saved && Array.isArray(saved.methods) && saved.methods.length) {
+      return { seen: null, settled: null, seenAt: null, ...saved };
     }
+  } catch (e) {
+    console.warn("Saved wallet could not be read:", e);
   }
-  return false;
+  return null;
 }
 
-/** Dropdown entry builder */
-function makeEntry(raw, type) {
-  const base = brandCanonicalize(getBase(raw));
-  return { type, display: base, baseNorm: toNorm(base) };
+function storeWallet(wallet) {
+  try {
+    if (wallet) window.localStorage.setItem(WALLET_STORAGE_KEY, JSON.stringify(wallet));
+    else window.localStorage.removeItem(WALLET_STORAGE_KEY);
+  } catch (e) {
+    console.warn("Saved wallet could not be written:", e);
+  }
 }
 
-function normalizeUrl(u) {
-  if (!u) return "";
-  let s = String(u).trim().toLowerCase();
-  s = s.replace(/^https?:\/\//, "").replace(/^www\./, "");
-  if (s.endsWith("/")) s = s.slice(0, -1);
-  return s;
+const toWalletMethods = (entries) => entries.map((e) => ({ type: e.type, slug: entrySlug(e) }));
+
+/** Same instruments, in any order */
+const isSameWallet = (a, b) =>
+  a.length === b.length && a.every((m) => b.some((n) => n.type === m.type && n.slug === m.slug));
+
+/** Snapshot key of a matched offer; the same offer on two platforms counts twice */
+const walletOfferKey = (w) => `${w.platformId}::${offerKey(w.offer)}`;
+
+/** Platforms a snapshot covers; older snapshots did not record them, so fall back to
+ *  the platforms that have entries in `seen` */
+function settledPlatforms(snapshot) {
+  if (!snapshot || !snapshot.seen) return [];
+  if (Array.isArray(snapshot.settled)) return snapshot.settled;
+  return Array.from(new Set(Object.values(snapshot.seen).map((o) => o.platformId)));
 }
-function normalizeText(s) {
-  return toNorm(s || "");
+
+/** Store this visit's matches, keeping the old entries of platforms that did not load;
+ *  an unchanged snapshot leaves the wallet (and so the render) alone */
+function recordWalletVisit(seen, loadedIds, setWallet) {
+  setWallet((prev) => {
+    if (!prev) return prev;
+    const kept = Object.entries(prev.seen || {}).filter(
+      ([, o]) => !loadedIds.includes(o.platformId)
+    );
+    const next = { ...Object.fromEntries(kept), ...seen };
+    const settled = Array.from(new Set([...settledPlatforms(prev), ...loadedIds])).sort();
+    const nextKeys = Object.keys(next);
+    const unchanged =
+      prev.seen &&
+      nextKeys.length === Object.keys(prev.seen).length &&
+      nextKeys.every((k) => k in prev.seen) &&
+      settled.join(",") === settledPlatforms(prev).join(",");
+    return unchanged
+      ? prev
+      : { ...prev, seen: next, settled, seenAt: new Date().toISOString() };
+  });
 }
-function offerKey(offer) {
-  const imgGuess =
-    firstField(offer, LIST_FIELDS.image) || firstFieldByContains(offer, "image");
-  const image = normalizeUrl(imgGuess || "");
-  const title = normalizeText(
-    firstField(offer, LIST_FIELDS.title) || offer.Website || ""
-  );
-  const desc = normalizeText(firstField(offer, LIST_FIELDS.desc) || "");
-  const link = normalizeUrl(firstField(offer, LIST_FIELDS.link) || "");
-  return `${title}||${desc}||${image}||${link}`;
+
+/** -------------------- LANGUAGE -------------------- */
+/* The switcher's choice is kept in localStorage; a first visit follows the browser */
+const LANGUAGE_STORAGE_KEY = "offerLanguage";
+
+function loadLanguage() {
+  try {
+    const saved = window.localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    if (isLanguage(saved)) return saved;
+  } catch (e) {
+    console.warn("Saved language could not be read:", e);
+  }
+  return guessLanguage(navigator.languages || [navigator.language]);
 }
 
-function dedupWrappers(arr, seen) {
-  const out = [];
-  for (const w of arr || []) {
-    const k = offerKey(w.offer);
-    if (seen.has(k)) continue;
-    seen.add(k);
-    out.push(w);
+function storeLanguage(code) {
+  try {
+    window.localStorage.setItem(LANGUAGE_STORAGE_KEY, code);
+  } catch (e) {
+    console.warn("Language choice could not be saved:", e);
+  }
+}
+
+/** -------------------- CASHBACK DISCOUNT -------------------- */
+/* How much less cashback is worth than an instant discount (a percentage, see
+   offerTerms' CASHBACK VALUE); kept in localStorage like the language */
+const CASHBACK_DISCOUNT_STORAGE_KEY = "offerCashbackDiscount";
+
+function loadCashbackDiscount() {
+  try {
+    const saved = window.localStorage.getItem(CASHBACK_DISCOUNT_STORAGE_KEY);
+    if (saved !== null && CASHBACK_DISCOUNTS.includes(Number(saved))) return Number(saved);
+  } catch (e) {
+    console.warn("Saved cashback discount could not be read:", e);
+  }
+  return DEFAULT_CASHBACK_DISCOUNT;
+}
+
+function storeCashbackDiscount(percent) {
+  try {
+    window.localStorage.setItem(CASHBACK_DISCOUNT_STORAGE_KEY, String(percent));
+  } catch (e) {
+    console.warn("Cashback discount could not be saved:", e);
   }
-  return out;
 }
 
 /** classification helpers for DC/CC chips */
@@ -299,21 +416,570 @@ function valueLooksCredit(s) {
   return /\bcredit\b/i.test(String(s || ""));
 }
 
+/** Raw instrument cells of one offer row for a payment type (explicit columns first,
+ *  then mixed "Eligible Cards" headers / type hints, then any "debit" token for DC) */
+function instrumentCells(o, type) {
+  let list = [];
+  if (type === "debit") {
+    const dcExplicit =
+      firstField(o, LIST_FIELDS.debit) ||
+      firstFieldByContains(o, "eligible debit") ||
+      firstFieldByContains(o, "debit card");
+    const dcFromHeaders = dcExplicit ? splitList(dcExplicit) : [];
+    let dc = [...dcFromHeaders];
+
+    if (!dc.length) {
+      const typeHint = getRowTypeHint(o);
+      const mixed =
+        firstFieldByContains(o, "eligible cards") ||
+        firstFieldByContains(o, "cards");
+      if (mixed && typeHint === "debit") {
+        dc = splitList(mixed);
+      }
+    }
+    if (!dc.length) {
+      const tokens = Object.values(o || {})
+        .filter((v) => typeof v === "string")
+        .flatMap((v) => splitList(v))
+        .filter((t) => /\bdebit\b/i.test(t));
+      dc = tokens;
+    }
+    list = dc;
+  } else if (type === "upi") {
+    const upi =
+      firstField(o, LIST_FIELDS.upi) || firstFieldByContains(o, "upi");
+    list = splitList(upi);
+  } else if (type === "netbanking" || type === "net banking") {
+    const nb =
+      firstField(o, LIST_FIELDS.netbanking) ||
+      firstFieldByContains(o, "net bank") ||
+      firstFieldByContains(o, "netbank");
+    list = splitList(nb);
+  } else {
+    const cc =
+      firstField(o, LIST_FIELDS.credit) ||
+      firstFieldByContains(o, "eligible credit") ||
+      firstFieldByContains(o, "credit card") ||
+      firstFieldByContains(o, "eligible cards");
+    list = splitList(cc);
+  }
+  return list;
+}
+
+/** -------------------- OFFER LOADING -------------------- */
+/* Each platform CSV loads on its own so one missing/broken file never hides the
+   others. Status per platform id: {state: "loading" | "loaded" | "empty" | "failed", rows, error} */
+
+const hasAnyValue = (row) =>
+  Object.values(row || {}).some((v) => v !== undefined && v !== null && String(v).trim() !== "");
+
+/** When the service worker stored this copy (X-Cached-At), or null when it came from the network untouched */
+const cachedAtOf = (res) => (res && res.headers && res.headers["x-cached-at"]) || null;
+
+/** "18 Oct, 2:05 pm" in the active language */
+const formatDataTime = (iso) =>
+  formatDateTime(new Date(iso), {
+    day: "numeric",
+    month: "short",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+/** Error remembering its message key, so it can be shown again in another language */
+function loadError(key, vars) {
+  const err = new Error(t(key, vars));
+  err.i18n = { key, vars };
+  return err;
+}
+
+/** Reason for a failed download, from the axios error */
+const downloadError = (file, e) =>
+  loadError(e.response?.status === 404 ? "errors.notFound" : "errors.download", { file });
+
+/** Text of a load error (or a stored {error, i18n} status) in the current language */
+const errorText = (e) => (e.i18n ? t(e.i18n.key, e.i18n.vars) : e.error || e.message);
+
+/** URL of a file under public/; platforms.json may name a subfolder ("data/Dineout.csv") */
+const dataUrl = (fileName) => `/${fileName.split("/").map(encodeURIComponent).join("/")}`;
+
+/** Download a CSV from public/: {text, cachedAt}; throws with a readable reason on failure */
+async function fetchCsvText(fileName) {
+  let res;
+  try {
+    res = await axios.get(dataUrl(fileName), { responseType: "text" });
+  } catch (e) {
+    throw downloadError(fileName, e);
+  }
+
+  // dev servers / SPA hosts answer unknown paths with index.html instead of a 404
+  const text = String(res.data || "");
+  if (/^\s*<(!doctype|html)/i.test(text)) {
+    throw loadError("errors.notFound", { file: fileName });
+  }
+  return { text, cachedAt: cachedAtOf(res) };
+}
+
+/** Fetch + parse one offer CSV: {rows, cachedAt}; throws with a readable reason on failure */
+async function fetchOfferRows(fileName) {
+  const { text, cachedAt } = await fetchCsvText(fileName);
+  const parsed = Papa.parse(text, { header: true, skipEmptyLines: true });
+  const fatal = (parsed.errors || []).find((err) => err.type === "Quotes" || err.type === "Delimiter");
+  if (fatal) {
+    throw loadError("errors.parse", { file: fileName, row: fatal.row + 2, detail: fatal.message });
+  }
+  return { rows: (parsed.data || []).filter(hasAnyValue), cachedAt };
+}
+
+/** Load the platforms manifest; throws with a readable reason on failure */
+async function fetchPlatforms() {
+  const res = await axios.get(`/${PLATFORMS_FILE}`).catch((e) => {
+    throw downloadError(PLATFORMS_FILE, e);
+  });
+  const { platforms, problems } = normalizePlatforms(res.data);
+  problems.forEach((p) => console.warn(`${PLATFORMS_FILE}: ${p}`));
+  if (!platforms.length) throw loadError("errors.noPlatforms", { file: PLATFORMS_FILE });
+  return platforms;
+}
+
+/** Load one platform's offers into the id-keyed offers/status state; a quiet reload
+ *  (background data refresh) keeps the current offers on screen meanwhile, and keeps
+ *  them if the refresh fails */
+async function loadOfferFile(platform, setOffersBySite, setOfferStatus, quiet = false) {
+  const { id } = platform;
+  const setRows = (rows) => setOffersBySite((prev) => ({ ...prev, [id]: rows }));
+  const setStatus = (status) => setOfferStatus((prev) => ({ ...prev, [id]: status }));
+
+  if (!quiet) setStatus({ state: "loading" });
+  try {
+    const { rows: raw, cachedAt } = await fetchOfferRows(platform.csv);
+    // per-card duplicate rows become one offer listing all its cards
+    const rows = groupOfferRows(raw);
+    setRows(rows);
+    setStatus(
+      rows.length ? { state: "loaded", rows: rows.length, cachedAt } : { state: "empty", cachedAt }
+    );
+  } catch (e) {
+    console.error(`Offer CSV load error (${platform.name}):`, e);
+    if (quiet) return;
+    setRows([]);
+    setStatus({ state: "failed", error: e.message, i18n: e.i18n });
+  }
+}
+
 /** Disclaimer */
 const Disclaimer = () => (
   <section className="disclaimer">
-    <h3>Disclaimer</h3>
-    <p>
-      All offers, coupons, and discounts listed on our platform are provided for
-      informational purposes only. We do not guarantee the accuracy,
-      availability, or validity of any offer. Users are advised to verify the
-      terms and conditions with the respective merchants before making any
-      purchase. We are not responsible for any discrepancies, expired offers, or
-      losses arising from the use of these coupons.
-    </p>
+    <h3>{t("disclaimer.title")}</h3>
+    <p>{t("disclaimer.text")}</p>
   </section>
 );
 
+/** -------------------- PAGES -------------------- */
+/* Besides the offers page, hash routes so static hosting needs no rewrites */
+const ROUTES = { "#/editor": "editor", "#/changelog": "changelog" };
+const readRoute = () => ROUTES[window.location.hash] || "offers";
+
+// admin-only, so it stays out of the offers page bundle
+const OfferEditor = lazy(() => import("./OfferEditorPage.jsx"));
+
+/** -------------------- DATA CHANGELOG (#/changelog) -------------------- */
+/** A data manifest (current or archived) from public/; throws when it is not one */
+async function fetchManifest(file) {
+  const res = await axios.get(`/${file}`).catch((e) => {
+    throw downloadError(file, e);
+  });
+  if (!res.data || typeof res.data !== "object" || !res.data.files) {
+    throw loadError("errors.notManifest", { file });
+  }
+  return res.data;
+}
+
+/** Current manifest into state; the page simply goes without dates when it is missing */
+async function loadDataManifest(setDataManifest) {
+  try {
+    setDataManifest(await fetchManifest(DATA_MANIFEST_FILE));
+  } catch (e) {
+    console.warn(`${DATA_MANIFEST_FILE} could not be loaded:`, e.message);
+  }
+}
+
+/** Both sides of a comparison: {older, newer} */
+async function loadManifestPair(olderFile, newerFile, setPair, setError) {
+  setError(null);
+  try {
+    const [older, newer] = await Promise.all([fetchManifest(olderFile), fetchManifest(newerFile)]);
+    setPair({ older, newer });
+  } catch (e) {
+    setError(e);
+  }
+}
+
+const describeOffer = (o) =>
+  `${o.title || t("wallet.untitled")}${
+    o.coupon && o.coupon !== o.title ? ` (${t("share.code", { code: o.coupon })})` : ""
+  }`;
+
+const DataChangelog = () => {
+  const [current, setCurrent] = useState(null);
+  const [versions, setVersions] = useState({ older: "", newer: DATA_MANIFEST_FILE });
+  const [pair, setPair] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchManifest(DATA_MANIFEST_FILE)
+      .then((manifest) => {
+        setCurrent(manifest);
+        setVersions((v) => ({ ...v, older: (manifest.history || [])[0] || "" }));
+      })
+      .catch(setError);
+  }, []);
+
+  useEffect(() => {
+    if (versions.older) loadManifestPair(versions.older, versions.newer, setPair, setError);
+  }, [versions]);
+
+  const options = current
+    ? [
+        { file: DATA_MANIFEST_FILE, when: current.generatedAt, label: t("changelog.current") },
+        ...(current.history || []).map((file) => ({ file, when: archiveDate(file), label: "" })),
+      ]
+    : [];
+  const changes = pair ? diffManifests(pair.older, pair.newer) : [];
+  const versionSelect = (side) => (
+    <select
+      value={versions[side]}
+      onChange={(e) => setVersions((v) => ({ ...v, [side]: e.target.value }))}
+    >
+      {options.map((o) => (
+        <option key={o.file} value={o.file}>
+          {o.when ? formatDataTime(o.when) : o.file}
+          {o.label && ` (${o.label})`}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="data-changelog">
+      <header className="page-header">
+        <h1>{t("changelog.title")}</h1>
+        <a href="#">{t("changelog.back")}</a>
+      </header>
+      {error && (
+        <p className="offer-load-error" role="alert">
+          {errorText(error)}
+        </p>
+      )}
+      {current && (
+        <ul className="changelog-files">
+          {Object.entries(current.files).map(([file, f]) => (
+            <li key={file}>
+              <strong>{file}</strong>:{" "}
+              {t("changelog.offers", { count: Object.keys(f.offers || {}).length })},{" "}
+              {describeUpdated(f.updatedAt)}
+            </li>
+          ))}
+        </ul>
+      )}
+      {current && !options[1] && <p>{t("changelog.noHistory")}</p>}
+      {options[1] && (
+        <p className="changelog-versions">
+          <label>
+            {t("changelog.from")} {versionSelect("older")}
+          </label>{" "}
+          <label>
+            {t("changelog.to")} {versionSelect("newer")}
+          </label>
+        </p>
+      )}
+      {pair && !changes.length && <p>{t("changelog.noChanges")}</p>}
+      {changes.map(({ file, added, removed, edited }) => (
+        <section key={file} className="changelog-file">
+          <h2>{file}</h2>
+          {added.length > 0 && (
+            <>
+              <h3>{t("changelog.added", { count: added.length })}</h3>
+              <ul>
+                {added.map((o, i) => (
+                  <li key={i}>{describeOffer(o)}</li>
+                ))}
+              </ul>
+            </>
+          )}
+          {removed.length > 0 && (
+            <>
+              <h3>{t("changelog.removed", { count: removed.length })}</h3>
+              <ul>
+                {removed.map((o, i) => (
+                  <li key={i}>{describeOffer(o)}</li>
+                ))}
+              </ul>
+            </>
+          )}
+          {edited.length > 0 && (
+            <>
+              <h3>{t("changelog.edited", { count: edited.length })}</h3>
+              <ul>
+                {edited.map(({ before, after }, i) => (
+                  <li key={i}>
+                    {describeOffer(before) === describeOffer(after)
+                      ? describeOffer(after)
+                      : `${describeOffer(before)} → ${describeOffer(after)}`}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </section>
+      ))}
+    </div>
+  );
+};
+
+/** -------------------- OFFER CARD -------------------- */
+/* Declared at module scope so a parent render updates cards in place instead of
+   remounting them (which would close an open "also valid on" list). */
+const OfferCard = ({ wrapper, platform, orderAmount, showUnlockedBy, onCopyCoupon }) => {
+  const o = wrapper.offer;
+
+  // fields: Offer, Description, Image(s), Link
+  const title = offerTitle(o);
+  const desc =
+    o["Description"] ||
+    firstField(o, LIST_FIELDS.desc) ||
+    "";
+  const coupon = couponCode(o);
+  const candidateImage =
+    o["Images"] ||
+    firstField(o, LIST_FIELDS.image) ||
+    "";
+  const link = firstField(o, LIST_FIELDS.link);
+
+  const showVariantNote =
+    platform.variantNote &&
+    wrapper.variantText &&
+    wrapper.variantText.trim().length > 0;
+
+  // Decide actual image (poster vs platform logo)
+  const { src: imgSrc, usingFallback } = resolveImage(platform.logo, candidateImage);
+
+  const savings = wrapper.savings;
+  const isIneligible = savings && !savings.eligible;
+  const unlockedBy = wrapper.instruments || [];
+  const validity = validityBadge(wrapper.validity);
+  const payout = payoutLabel(wrapper.terms);
+  const badges = [
+    ...(wrapper.isNew ? [{ kind: "new", label: t("card.new") }] : []),
+    ...(validity ? [validity] : []),
+    ...restrictionBadges(wrapper.restrictions),
+  ];
+  const stacksWith = wrapper.stacksWith || []; // general coupons it combines with
+  const stack = wrapper.stack; // best coupon + card combination, if one beats the card alone
+  // the offer's other eligible cards (rows merged by groupOfferRows)
+  const alsoValidOn = offerInstruments(o).filter(
+    (i) => !unlockedBy.some((e) => e.type === i.type && e.cardKey === i.key)
+  );
+
+  return (
+    <div
+      className={`offer-card ${isIneligible ? "is-ineligible" : ""} ${
+        wrapper.isTopPick ? "is-top-pick" : ""
+      } ${wrapper.isNew ? "is-new" : ""} ${validity && validity.kind !== "ending" ? "is-inactive" : ""}`}
+    >
+      {wrapper.isTopPick && <div className="top-pick-badge">{t("card.topPick")}</div>}
+      {imgSrc && (
+        <img
+          className={`offer-img ${usingFallback ? "is-fallback" : ""}`}
+          src={imgSrc}
+          alt={title}
+          onError={(e) => handleImgError(e, platform.logo)}
+        />
+      )}
+      <div className="offer-info">
+        <h3 className="offer-title">{title}</h3>
+        {payout && (
+          <p className={`payout-label is-${payout.kind}`}>
+            <strong>{payout.label}</strong>
+            {payout.details.map((d) => (
+              <span key={d}> · {d}</span>
+            ))}
+          </p>
+        )}
+        {badges.length > 0 && (
+          <div className="restriction-badges">
+            {badges.map((b) => (
+              <span key={b.kind} className={`restriction-badge is-${b.kind}`}>
+                {b.label}
+              </span>
+            ))}
+          </div>
+        )}
+
+        {desc && <p className="offer-desc">{desc}</p>}
+
+        {orderAmount && savings && (
+          <p className={`savings-note ${isIneligible ? "is-ineligible" : ""}`}>
+            {describeSavings(savings, orderAmount)}
+            {!isIneligible && savings.effective !== savings.savings && (
+              <span className="effective-value">
+                {" "}
+                ({t("card.effectiveValue", { amount: formatRupees(savings.effective) })})
+              </span>
+            )}
+          </p>
+        )}
+
+        {coupon && (
+          <div className="coupon-wrap">
+            <div className="coupon-title">{t("card.couponCode")}</div>
+            <button
+              type="button"
+              className="coupon-code"
+              onClick={() => onCopyCoupon(coupon)}
+              title={t("card.copyTitle")}
+            >
+              <span className="coupon-value">{coupon}</span>
+              <span className="coupon-hint">{t("card.copyHint")}</span>
+            </button>
+          </div>
+        )}
+
+        {link && (
+          <button className="btn" onClick={() => window.open(link, "_blank")}>
+            {t("card.viewOffer")}
+          </button>
+        )}
+
+        {showUnlockedBy && unlockedBy.length > 0 && (
+          <p className="unlocked-by">
+            <strong>{t("card.unlockedBy")}</strong>{" "}
+            {unlockedBy.map((e) => e.display).join(", ")}
+          </p>
+        )}
+
+        {stacksWith.length > 0 && (
+          <p className="stacks-note">
+            <strong>{t("card.alsoWorksWith")}</strong>{" "}
+            {stacksWith.map((g) => couponCode(g.offer) || offerTitle(g.offer)).join(", ")}
+          </p>
+        )}
+
+        {stack && (
+          <div className={`stack-breakdown ${wrapper.isBestStack ? "is-best" : ""}`}>
+            <div className="stack-title">
+              {wrapper.isBestStack
+                ? t("card.bestCombination", { platform: platform.name || wrapper.site })
+                : t("card.combine")}
+              {!orderAmount && t("card.onOrder", { amount: formatRupees(stack.amount) })}
+            </div>
+            <ol className="stack-parts">
+              {stack.parts.map(({ wrapper: part, savings: partSavings }) => {
+                const code = couponCode(part.offer);
+                const label =
+                  part.offer === wrapper.offer
+                    ? describeDiscount(part.terms) || offerTitle(part.offer)
+                    : code
+                    ? t("card.couponPart", { code })
+                    : offerTitle(part.offer);
+                const excludes =
+                  part.offer === wrapper.offer ? [] : parseOfferStacking(part.offer).excludes;
+                return (
+                  <li key={offerKey(part.offer)}>
+                    {label}: {formatRupees(partSavings)}
+                    {excludes.length > 0 && (
+                      <span className="stack-excludes">
+                        {t("card.notOn", {
+                          items: excludes.map((x) => t(`card.excludes.${x}`)).join(t("card.or")),
+                        })}
+                      </span>
+                    )}
+                  </li>
+                );
+              })}
+            </ol>
+            <div className="stack-total">
+              {t("card.total", { amount: formatRupees(stack.total) })}
+              {stack.effective !== stack.total && (
+                <span className="effective-value">
+                  {" "}
+                  ({t("card.effectiveValue", { amount: formatRupees(stack.effective) })})
+                </span>
+              )}
+            </div>
+          </div>
+        )}
+
+        {alsoValidOn.length > 0 && (
+          <details className="also-valid">
+            <summary>
+              {t(unlockedBy.length ? "card.alsoValidOn" : "card.validOn", {
+                count: alsoValidOn.length,
+              })}
+            </summary>
+            <ul>
+              {alsoValidOn.map((i) => (
+                <li key={`${i.type}:${i.key}:${i.variant}`}>
+                  {i.name}
+                  {i.variant && <span className="also-valid-variant"> ({i.variant})</span>}
+                  <span className="instrument-type">{t(`type.${i.type}`)}</span>
+                </li>
+              ))}
+            </ul>
+          </details>
+        )}
+
+        {showVariantNote && (
+          <p className="network-note">
+            <strong>{t("card.noteLabel")}</strong>{" "}
+            {tNodes("card.variantNote", { variant: <em>{wrapper.variantText}</em> })}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// computeSavings() result
+const savingsShape = PropTypes.shape({
+  eligible: PropTypes.bool,
+  savings: PropTypes.number,
+  effective: PropTypes.number,
+  upTo: PropTypes.number,
+  reason: PropTypes.string,
+});
+
+OfferCard.propTypes = {
+  // one matched offer row plus what the results section worked out about it
+  wrapper: PropTypes.shape({
+    offer: PropTypes.object.isRequired, // the CSV row
+    site: PropTypes.string,
+    variantText: PropTypes.string,
+    terms: PropTypes.object, // parseOfferTerms()
+    restrictions: PropTypes.object, // parseOfferRestrictions()
+    validity: PropTypes.object, // parseOfferValidity()
+    savings: savingsShape, // only with an order amount
+    instruments: PropTypes.arrayOf(PropTypes.object), // the selected methods it matched
+    stacksWith: PropTypes.arrayOf(PropTypes.object), // general coupon wrappers
+    stack: PropTypes.shape({
+      amount: PropTypes.number,
+      total: PropTypes.number,
+      effective: PropTypes.number,
+      parts: PropTypes.arrayOf(PropTypes.shape({ wrapper: PropTypes.object, savings: PropTypes.number })),
+    }),
+    isNew: PropTypes.bool,
+    isTopPick: PropTypes.bool,
+    isBestStack: PropTypes.bool,
+  }).isRequired,
+  platform: PropTypes.shape({
+    name: PropTypes.string,
+    logo: PropTypes.string,
+    variantNote: PropTypes.bool,
+  }).isRequired,
+  orderAmount: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  showUnlockedBy: PropTypes.bool,
+  onCopyCoupon: PropTypes.func.isRequired,
+};
+
 /** -------------------- COMPONENT -------------------- */
 const AirlineOffers = () => {
   // dropdown data (from allCards.csv; UPI/Net Banking merged from offers)
@@ -322,24 +988,66 @@ const AirlineOffers = () => {
   const [upiEntries, setUpiEntries] = useState([]);
   const [netBankingEntries, setNetBankingEntries] = useState([]);
 
-  // chip strips (from offer CSVs ONLY — NOT allCards.csv)
+  // instruments named in offer CSVs ONLY — NOT allCards.csv (URL restore + browser)
   const [chipCC, setChipCC] = useState([]); // credit bases
   const [chipDC, setChipDC] = useState([]); // debit bases
-  const [chipUPI, setChipUPI] = useState([]); // upi bases
-  const [chipNB, setChipNB] = useState([]); // net banking bases
+  const [browserItems, setBrowserItems] = useState([]); // [{name, type, bank, count}] for the instrument browser
+  const [browserFilter, setBrowserFilter] = useState("");
+  const [bankCards, setBankCards] = useState({}); // issuer -> its credit + debit card entries
 
   // ui state
   const [filteredCards, setFilteredCards] = useState([]);
   const [query, setQuery] = useState("");
-  const [selected, setSelected] = useState(null); // {type, display, baseNorm}
+  const [listOpen, setListOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1); // index into filteredCards, -1 = none
+  const dropdownRef = useRef(null);
+  // search worker (or main-thread index), id of the newest query, debounce timer
+  const searchRef = useRef({
+    worker: null,
+    index: null,
+    lists: null,
+    latest: 0,
+    timer: null,
+    query: "",
+  });
+  const [selectedMethods, setSelectedMethods] = useState([]); // [{type, display, baseNorm, cardKey}]
+  const [cardsLoaded, setCardsLoaded] = useState(false);
+  const [wallet, setWallet] = useState(loadWallet); // saved instruments + last visit's matches
+  const [lastVisit, setLastVisit] = useState(() => wallet); // what "new" / "gone" compare against
+  // selection requested by the URL (on load / back-forward), resolved once entries are in;
+  // with no selection in the URL the saved wallet opens straight away
+  const [urlSelection, setUrlSelection] = useState(() => {
+    const fromUrl = readSelectionParams(window.location.search);
+    if (fromUrl.length) return fromUrl;
+    return wallet ? wallet.methods : null;
+  });
+  // "what's new for my cards" panel, open on arrival when the wallet was restored
+  const [walletView, setWalletView] = useState(() => !!wallet && urlSelection === wallet.methods);
+  const historyMode = useRef("replace"); // next URL sync: "push" for user picks
   const [noMatches, setNoMatches] = useState(false);
   const [isMobile, setIsMobile] = useState(false);
-
-  // offers (ONLY these 2 CSVs)
-  const [swiggyOffers, setSwiggyOffers] = useState([]);
-  const [zomatoOffers, setZomatoOffers] = useState([]);
-  const [eatsureOffers, setEatsureOffers] = useState([]);
-  const [magicPinOffers, setMagicPinOffers] = useState([]);
+  const [orderAmount, setOrderAmount] = useState(""); // cart value for the savings calculator
+  const [validTodayOnly, setValidTodayOnly] = useState(false);
+  const [showExpired, setShowExpired] = useState(false); // also list expired / not-yet-started offers
+  const [resultsView, setResultsView] = useState("grid"); // "grid" | "table"
+  // filter bar: independent of the selection, so it stays put while cards are added/removed
+  const [offerFilters, setOfferFilters] = useState(DEFAULT_OFFER_FILTERS);
+  const [offerSort, setOfferSort] = useState("relevance"); // one of OFFER_SORTS
+  const [shareNote, setShareNote] = useState(""); // feedback from the share menu
+  const [route, setRoute] = useState(readRoute); // "offers" | "editor" | "changelog"
+  const [dataManifest, setDataManifest] = useState(null); // public/data-manifest.json, if any
+  // UI language; i18n.js holds the active one for the pure helpers, so set it before rendering
+  const [language, setLanguageState] = useState(() => setLanguage(loadLanguage()));
+  const [cashbackDiscount, setCashbackDiscount] = useState(loadCashbackDiscount); // % off cashback
+  const [online, setOnline] = useState(() => navigator.onLine !== false);
+  const [cardsCachedAt, setCardsCachedAt] = useState(null); // allCards.csv copy time (service worker)
+  const [cardsVersion, setCardsVersion] = useState(0); // bumped when allCards.csv changed in the background
+
+  // offers per platform, all keyed by platform id from platforms.json
+  const [platforms, setPlatforms] = useState([]);
+  const [platformsError, setPlatformsError] = useState(null);
+  const [offersBySite, setOffersBySite] = useState({});
+  const [offerStatus, setOfferStatus] = useState({});
 
   // responsive
   useEffect(() => {
@@ -354,6 +1062,7 @@ const AirlineOffers = () => {
     async function loadAllCards() {
       try {
         const res = await axios.get(`/allCards.csv`);
+        setCardsCachedAt(cachedAtOf(res));
         const parsed = Papa.parse(res.data, { header: true });
         const rows = parsed.data || [];
 
@@ -365,24 +1074,21 @@ const AirlineOffers = () => {
         for (const row of rows) {
           const ccList = splitList(firstField(row, LIST_FIELDS.credit));
           for (const raw of ccList) {
-            const base = brandCanonicalize(getBase(raw));
-            const baseNorm = toNorm(base);
-            if (baseNorm) creditMap.set(baseNorm, creditMap.get(baseNorm) || base);
+            const key = cardKey(raw);
+            if (key) creditMap.set(key, creditMap.get(key) || canonicalCardName(raw));
           }
           const dcList = splitList(firstField(row, LIST_FIELDS.debit));
           for (const raw of dcList) {
-            const base = brandCanonicalize(getBase(raw));
-            const baseNorm = toNorm(base);
-            if (baseNorm) debitMap.set(baseNorm, debitMap.get(baseNorm) || base);
+            const key = cardKey(raw);
+            if (key) debitMap.set(key, debitMap.get(key) || canonicalCardName(raw));
           }
 
           const upiList = splitList(
             firstField(row, LIST_FIELDS.upi) || firstFieldByContains(row, "upi")
           );
           for (const raw of upiList) {
-            const base = brandCanonicalize(getBase(raw));
-            const baseNorm = toNorm(base);
-            if (baseNorm) upiMap.set(baseNorm, upiMap.get(baseNorm) || base);
+            const key = cardKey(raw);
+            if (key) upiMap.set(key, upiMap.get(key) || canonicalCardName(raw));
           }
 
           const nbList = splitList(
@@ -391,10 +1097,9 @@ const AirlineOffers = () => {
               firstFieldByContains(row, "netbank")
           );
           for (const raw of nbList) {
-            const base = brandCanonicalize(getBase(raw));
-            const baseNorm = toNorm(base);
-            if (baseNorm)
-              netBankingMap.set(baseNorm, netBankingMap.get(baseNorm) || base);
+            const key = cardKey(raw);
+            if (key)
+              netBankingMap.set(key, netBankingMap.get(key) || canonicalCardName(raw));
           }
         }
 
@@ -413,78 +1118,180 @@ const AirlineOffers = () => {
 
         setCreditEntries(credit);
         setDebitEntries(debit);
-        setUpiEntries(upi);
-        setNetBankingEntries(netBanking);
+        // UPI / net banking options mostly come from the offer files (harvested below);
+        // a background refresh of allCards.csv must not drop them
+        setUpiEntries((prev) => mergeEntries(prev, upi));
+        setNetBankingEntries((prev) => mergeEntries(prev, netBanking));
 
+        // the full list is the dropdown's idle state; leave the results of a typed query alone
+        if (searchRef.current.query.trim()) return;
         setFilteredCards([
-          ...(credit.length ? [{ type: "heading", label: "Credit Cards" }] : []),
+          ...(credit.length ? [{ type: "heading", section: "credit" }] : []),
           ...credit,
-          ...(debit.length ? [{ type: "heading", label: "Debit Cards" }] : []),
+          ...(debit.length ? [{ type: "heading", section: "debit" }] : []),
           ...debit,
-          ...(upi.length ? [{ type: "heading", label: "UPI" }] : []),
+          ...(upi.length ? [{ type: "heading", section: "upi" }] : []),
           ...upi,
           ...(netBanking.length
-            ? [{ type: "heading", label: "Net Banking" }]
+            ? [{ type: "heading", section: "netbanking" }]
             : []),
           ...netBanking,
         ]);
 
         if (!credit.length && !debit.length && !upi.length && !netBanking.length) {
           setNoMatches(true);
-          setSelected(null);
         }
       } catch (e) {
         console.error("allCards.csv load error:", e);
         setNoMatches(true);
-        setSelected(null);
+      } finally {
+        setCardsLoaded(true);
       }
     }
     loadAllCards();
+  }, [cardsVersion]);
+
+  // search worker: results for anything but the newest query are dropped
+  useEffect(() => {
+    const search = searchRef.current;
+    // a worker script that fails to load (offline, 404, CSP) only reports it later:
+    // search on the main thread from then on, answering the query it swallowed
+    const fallBack = (e) => {
+      console.warn("Search worker failed, searching on the main thread:", e);
+      search.worker.terminate();
+      search.worker = null;
+      search.index = buildSearchIndex(search.lists);
+      if (search.query.trim()) {
+        showSearchResult(searchCards(search.index, search.query), setFilteredCards, setNoMatches);
+      }
+    };
+    search.worker = createSearchWorker();
+    if (search.worker) {
+      search.worker.onmessage = ({ data }) => {
+        if (data.id === search.latest) {
+          showSearchResult(data.sections, setFilteredCards, setNoMatches);
+        }
+      };
+      search.worker.onerror = fallBack;
+      search.worker.onmessageerror = fallBack;
+    }
+    return () => {
+      clearTimeout(search.timer);
+      if (search.worker) search.worker.terminate();
+      search.worker = null;
+    };
   }, []);
 
-  // 2) Load offer CSVs
+  // issuer-level entries: every known credit/debit card grouped under its bank
   useEffect(() => {
-    async function loadOffers() {
+    setBankCards(
+      cardsByIssuer([
+        ...creditEntries,
+        ...chipCC.map((d) => makeEntry(d, "credit")),
+        ...debitEntries,
+        ...chipDC.map((d) => makeEntry(d, "debit")),
+      ])
+    );
+  }, [creditEntries, debitEntries, chipCC, chipDC]);
+
+  // (re)build the search index whenever the dropdown lists change
+  useEffect(() => {
+    const lists = {
+      bank: Object.keys(bankCards),
+      credit: creditEntries.map((e) => e.display),
+      debit: debitEntries.map((e) => e.display),
+      upi: upiEntries.map((e) => e.display),
+      netbanking: netBankingEntries.map((e) => e.display),
+    };
+    const search = searchRef.current;
+    search.lists = lists;
+    if (search.worker) search.worker.postMessage({ type: "index", lists });
+    else search.index = buildSearchIndex(lists);
+  }, [bankCards, creditEntries, debitEntries, upiEntries, netBankingEntries]);
+
+  // when each offer CSV last changed ("updated N days ago")
+  useEffect(() => {
+    loadDataManifest(setDataManifest);
+  }, []);
+
+  // 2) Load platforms.json, then every platform's offer CSV (independently)
+  useEffect(() => {
+    async function loadPlatforms() {
       try {
-        const files = [
-          { name: "Swiggy.csv", setter: setSwiggyOffers },
-          { name: "Zomato.csv", setter: setZomatoOffers },
-          { name: "Eatsure.csv", setter: setEatsureOffers },
-          { name: "MagicPin.csv", setter: setMagicPinOffers },
-        ];
-
-        await Promise.all(
-          files.map(async (f) => {
-            const res = await axios.get(`/${encodeURIComponent(f.name)}`);
-            const parsed = Papa.parse(res.data, { header: true });
-            f.setter(parsed.data || []);
-          })
-        );
+        const list = await fetchPlatforms();
+        setPlatforms(list);
+        setOfferStatus(Object.fromEntries(list.map((p) => [p.id, { state: "loading" }])));
+        list.forEach((p) => loadOfferFile(p, setOffersBySite, setOfferStatus));
       } catch (e) {
-        console.error("Offer CSV load error:", e);
+        console.error("Platforms manifest load error:", e);
+        setPlatformsError(e);
       }
     }
-    loadOffers();
+    loadPlatforms();
+  }, []);
+
+  const retryOffers = (platform) =>
+    loadOfferFile(platform, setOffersBySite, setOfferStatus);
+
+  // the service worker refreshed a data file in the background: pick up the new copy
+  useEffect(() => {
+    if (!("serviceWorker" in navigator)) return;
+    const onMessage = ({ data }) => {
+      if (!data || data.type !== "offer-data-updated") return;
+      const file = data.path.replace(/^\//, "");
+      if (file === "allCards.csv") setCardsVersion((v) => v + 1);
+      if (file === DATA_MANIFEST_FILE) loadDataManifest(setDataManifest);
+      const platform = platforms.find((p) => p.csv === file);
+      if (platform) loadOfferFile(platform, setOffersBySite, setOfferStatus, true);
+    };
+    navigator.serviceWorker.addEventListener("message", onMessage);
+    return () => navigator.serviceWorker.removeEventListener("message", onMessage);
+  }, [platforms]);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine !== false);
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
   }, []);
 
-  /** Build chip strips from OFFER CSVs (exclude allCards.csv) — with robust DC detection */
+  /** Build chip lists from OFFER CSVs (exclude allCards.csv) — with robust DC detection */
   useEffect(() => {
-    const ccMap = new Map(); // baseNorm -> display
+    const ccMap = new Map(); // cardKey -> display
     const dcMap = new Map();
     const upiMap = new Map();
     const nbMap = new Map();
+    const offersFor = new Map(); // "type:cardKey" -> Set of "platform|offerKey"
+    let rowTag = "";
+
+    const typeOfMap = (m) =>
+      m === dcMap ? "debit" : m === upiMap ? "upi" : m === nbMap ? "netbanking" : "credit";
+    const countOffer = (type, key) => {
+      if (!rowTag) return; // expired / not started: named, but unlocks nothing today
+      const id = `${type}:${key}`;
+      if (!offersFor.has(id)) offersFor.set(id, new Set());
+      offersFor.get(id).add(rowTag);
+    };
 
     const harvestList = (val, targetMap) => {
       for (const raw of splitList(val)) {
-        const base = brandCanonicalize(getBase(raw));
-        const baseNorm = toNorm(base);
-        if (baseNorm) targetMap.set(baseNorm, targetMap.get(baseNorm) || base);
+        const key = cardKey(raw);
+        if (!key) continue;
+        targetMap.set(key, targetMap.get(key) || canonicalCardName(raw));
+        countOffer(typeOfMap(targetMap), key);
       }
     };
 
     const headerLooksCards = (k) => /\bcards?\b/i.test(k);
-    const harvestRows = (rows) => {
+    const harvestRows = (platformId, rows) => {
       for (const o of rows || []) {
+        rowTag =
+          validityStatus(parseOfferValidity(o)) === "active"
+            ? `${platformId}|${offerKey(o)}` // duplicate rows count once
+            : "";
         // explicit fields
         const ccField =
           firstField(o, LIST_FIELDS.credit) ||
@@ -522,12 +1329,16 @@ const AirlineOffers = () => {
               harvestList(value, ccMap);
             } else {
               for (const tok of splitList(value)) {
-                const base = brandCanonicalize(getBase(tok));
-                const baseNorm = toNorm(base);
-                if (!baseNorm) continue;
-                if (valueLooksDebit(tok)) dcMap.set(baseNorm, dcMap.get(baseNorm) || base);
-                else if (valueLooksCredit(tok))
-                  ccMap.set(baseNorm, ccMap.get(baseNorm) || base);
+                const base = canonicalCardName(tok);
+                const key = cardKey(tok);
+                if (!key) continue;
+                if (valueLooksDebit(tok)) {
+                  dcMap.set(key, dcMap.get(key) || base);
+                  countOffer("debit", key);
+                } else if (valueLooksCredit(tok)) {
+                  ccMap.set(key, ccMap.get(key) || base);
+                  countOffer("credit", key);
+                }
               }
             }
           });
@@ -535,30 +1346,30 @@ const AirlineOffers = () => {
       }
     };
 
-    // Offer CSVs feed the marquee chips
-    harvestRows(swiggyOffers);
-    harvestRows(zomatoOffers);
-    harvestRows(eatsureOffers);
-    harvestRows(magicPinOffers);
+    // Offer CSVs feed the instrument browser
+    Object.entries(offersBySite).forEach(([id, rows]) => harvestRows(id, rows));
 
     const upiChips = Array.from(upiMap.values()).sort((a, b) => a.localeCompare(b));
     const nbChips = Array.from(nbMap.values()).sort((a, b) => a.localeCompare(b));
 
     setChipCC(Array.from(ccMap.values()).sort((a, b) => a.localeCompare(b)));
     setChipDC(Array.from(dcMap.values()).sort((a, b) => a.localeCompare(b)));
-    setChipUPI(upiChips);
-    setChipNB(nbChips);
-
-    const mergeEntries = (prev, incoming) => {
-      if (!incoming.length) return prev;
-      const map = new Map(prev.map((e) => [e.baseNorm, e]));
-      incoming.forEach((e) => {
-        if (!map.has(e.baseNorm)) map.set(e.baseNorm, e);
-      });
-      return Array.from(map.values()).sort((a, b) =>
-        a.display.localeCompare(b.display)
-      );
-    };
+
+    setBrowserItems(
+      [
+        [ccMap, "credit"],
+        [dcMap, "debit"],
+        [upiMap, "upi"],
+        [nbMap, "netbanking"],
+      ].flatMap(([map, type]) =>
+        Array.from(map, ([key, name]) => ({
+          name,
+          type,
+          bank: bankOf(name),
+          count: (offersFor.get(`${type}:${key}`) || new Set()).size,
+        }))
+      )
+    );
 
     if (upiChips.length) {
       setUpiEntries((prev) =>
@@ -570,227 +1381,443 @@ const AirlineOffers = () => {
         mergeEntries(prev, nbChips.map((d) => makeEntry(d, "netbanking")))
       );
     }
-  }, [swiggyOffers, zomatoOffers, eatsureOffers, magicPinOffers]);
+  }, [offersBySite]);
 
-  /** 🔹 UPDATED search box:
-   *  - Fuzzy match for any typo (e.g. "selct")
-   *  - "Select" cards boosted to top
-   *  - If query mentions dc/debit/debit card → show Debit section first
-   */
+  /** Search box: ranking lives in cardSearch.js (substring + fuzzy boosts, "select"
+   *  intent, debit-first); queries are debounced and answered by the search worker */
   const onChangeQuery = (e) => {
     const val = e.target.value;
     setQuery(val);
-
-    const trimmed = val.trim();
-    if (!trimmed) {
+    setListOpen(true);
+    setActiveIndex(-1);
+
+    const search = searchRef.current;
+    clearTimeout(search.timer);
+    search.query = val;
+    const id = ++search.latest;
+    if (!val.trim()) {
       setFilteredCards([]);
-      setSelected(null);
       setNoMatches(false);
       return;
     }
+    search.timer = setTimeout(() => {
+      if (search.worker) search.worker.postMessage({ type: "query", id, query: val });
+      else showSearchResult(searchCards(search.index, val), setFilteredCards, setNoMatches);
+    }, SEARCH_DEBOUNCE_MS);
+  };
 
-    const qLower = trimmed.toLowerCase();
-
-    const scored = (arr) =>
-      arr
-        .map((it) => {
-          const baseScore = scoreCandidate(trimmed, it.display);
-          const inc = it.display.toLowerCase().includes(qLower);
-          const fuzzy = isFuzzyNameMatch(trimmed, it.display);
-
-          // Boost exact substring + fuzzy matches
-          let s = baseScore;
-          if (inc) s += 2.0;
-          if (fuzzy) s += 1.5;
-
-          return { it, s, inc, fuzzy };
-        })
-        .filter(({ s, inc, fuzzy }) => inc || fuzzy || s > 0.3)
-        .sort((a, b) => b.s - a.s || a.it.display.localeCompare(b.it.display))
-        .slice(0, MAX_SUGGESTIONS)
-        .map(({ it }) => it);
-
-    let cc = scored(creditEntries);
-    let dc = scored(debitEntries);
-    let upi = scored(upiEntries);
-    let nb = scored(netBankingEntries);
-
-    if (!cc.length && !dc.length && !upi.length && !nb.length) {
-      setNoMatches(true);
-      setSelected(null);
-      setFilteredCards([]);
-      return;
+  // drop any pending / in-flight search (after a pick the box is cleared)
+  const cancelSearch = () => {
+    clearTimeout(searchRef.current.timer);
+    searchRef.current.latest++;
+    searchRef.current.query = "";
+  };
+
+  /** -------- URL sync (deep links + back/forward) -------- */
+  const catalogReady =
+    cardsLoaded &&
+    (!!platformsError ||
+      (platforms.length > 0 &&
+        Object.values(offerStatus).every((st) => st.state !== "loading")));
+
+  // resolve ?type=&card= against the loaded entries (and offer chips)
+  useEffect(() => {
+    if (!urlSelection || !catalogReady) return;
+    const pools = {
+      credit: [...creditEntries, ...chipCC.map((d) => makeEntry(d, "credit"))],
+      debit: [...debitEntries, ...chipDC.map((d) => makeEntry(d, "debit"))],
+      upi: upiEntries,
+      netbanking: netBankingEntries,
+    };
+    // derived here rather than read from bankCards, which lags the entry lists by a render
+    pools.bank = Object.keys(cardsByIssuer([...pools.credit, ...pools.debit])).map((b) =>
+      makeEntry(b, "bank")
+    );
+    const resolved = [];
+    for (const { type, slug } of urlSelection) {
+      const hit = (pools[type] || []).find((e) => entrySlug(e) === slug);
+      if (hit && !resolved.some((e) => entryId(e) === entryId(hit))) resolved.push(hit);
     }
+    historyMode.current = "replace";
+    setSelectedMethods(resolved);
+    setUrlSelection(null);
+  }, [
+    urlSelection,
+    catalogReady,
+    creditEntries,
+    debitEntries,
+    upiEntries,
+    netBankingEntries,
+    chipCC,
+    chipDC,
+  ]);
+
+  // write the selection back to the URL: picks push history, restores replace it
+  useEffect(() => {
+    if (urlSelection) return;
+    const search = selectionToSearch(window.location.search, selectedMethods);
+    const mode = historyMode.current;
+    historyMode.current = "push";
+    if (search === window.location.search) return;
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    if (mode === "push") window.history.pushState(null, "", url);
+    else window.history.replaceState(null, "", url);
+  }, [selectedMethods, urlSelection]);
 
-    /** --- SPECIAL CASE 1: "select credit card" / "selct" etc. → boost Select cards first --- */
-    const qNorm = toNorm(trimmed);
-    const qWords = qNorm.split(" ").filter(Boolean);
+  useEffect(() => {
+    const onPopState = () => setUrlSelection(readSelectionParams(window.location.search));
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
 
-    const hasSelectWord = qWords.some((w) => {
-      if (w === "select") return true;
-      const d = lev(w, "select");
-      const sim = 1 - d / Math.max(w.length, "select".length);
-      return sim >= 0.7; // "selct", "selec", etc.
-    });
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
 
-    const isSelectIntent =
-      qNorm.includes("select credit card") || qNorm.includes("select card") || hasSelectWord;
-
-    if (isSelectIntent) {
-      const reorderBySelect = (arr) => {
-        const selectCards = [];
-        const others = [];
-        arr.forEach((item) => {
-          const label = item.display.toLowerCase();
-          if (label.includes("select")) selectCards.push(item);
-          else others.push(item);
-        });
-        return [...selectCards, ...others];
-      };
-      cc = reorderBySelect(cc);
-      dc = reorderBySelect(dc);
-    }
+  const changeLanguage = (code) => {
+    setLanguageState(setLanguage(code));
+    storeLanguage(code);
+  };
 
-    /** --- SPECIAL CASE 2: if query hints debit/DC → show Debit section first --- */
-    const isDebitIntent =
-      qLower.includes("debit card") ||
-      qLower.includes("debit") ||
-      qLower === "dc" ||
-      qLower.startsWith("dc ") ||
-      qLower.endsWith(" dc") ||
-      qLower.includes(" dc ");
+  const changeCashbackDiscount = (percent) => {
+    setCashbackDiscount(percent);
+    storeCashbackDiscount(percent);
+  };
 
-    setNoMatches(false);
+  useEffect(() => {
+    const onHashChange = () => setRoute(readRoute());
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
 
-    if (isDebitIntent) {
-      // Debit cards first, then credit cards
-      setFilteredCards([
-        ...(dc.length ? [{ type: "heading", label: "Debit Cards" }] : []),
-        ...dc,
-        ...(cc.length ? [{ type: "heading", label: "Credit Cards" }] : []),
-        ...cc,
-        ...(upi.length ? [{ type: "heading", label: "UPI" }] : []),
-        ...upi,
-        ...(nb.length ? [{ type: "heading", label: "Net Banking" }] : []),
-        ...nb,
-      ]);
-    } else {
-      // Default: Credit cards first, then debit cards
-      setFilteredCards([
-        ...(cc.length ? [{ type: "heading", label: "Credit Cards" }] : []),
-        ...cc,
-        ...(dc.length ? [{ type: "heading", label: "Debit Cards" }] : []),
-        ...dc,
-        ...(upi.length ? [{ type: "heading", label: "UPI" }] : []),
-        ...upi,
-        ...(nb.length ? [{ type: "heading", label: "Net Banking" }] : []),
-        ...nb,
-      ]);
-    }
+  /** Add a payment method to "my payment methods" (no-op if already there) */
+  const addMethod = (entry) => {
+    setSelectedMethods((prev) =>
+      prev.some((e) => entryId(e) === entryId(entry)) ? prev : [...prev, entry]
+    );
+  };
+
+  const removeMethod = (entry) => {
+    setSelectedMethods((prev) => prev.filter((e) => entryId(e) !== entryId(entry)));
+  };
+
+  /** Saved wallet: keep the current instruments; a new wallet starts a fresh snapshot */
+  const saveWallet = () => {
+    setWallet({ methods: toWalletMethods(selectedMethods), seen: null, settled: null, seenAt: null });
+    setLastVisit(null);
+  };
+  const forgetWallet = () => {
+    setWallet(null);
+    setLastVisit(null);
+    setWalletView(false);
+  };
+  const openWallet = () => {
+    setUrlSelection(wallet.methods);
+    setWalletView(true);
   };
 
   const onPick = (entry) => {
-    setSelected(entry);
-    setQuery(entry.display);
+    cancelSearch();
+    addMethod(entry);
+    setQuery("");
     setFilteredCards([]);
     setNoMatches(false);
+    setListOpen(false);
+    setActiveIndex(-1);
+  };
+
+  /** Combobox keys: arrows move over options (not headings), Enter picks, Escape closes */
+  const onSearchKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      if (!query.trim() || !filteredCards.length) return;
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      const from = listOpen && activeIndex >= 0 ? activeIndex : step > 0 ? -1 : 0;
+      setListOpen(true);
+      setActiveIndex(nextOptionIndex(filteredCards, from, step));
+    } else if (e.key === "Enter") {
+      if (!listOpen) return;
+      const idx = activeIndex >= 0 ? activeIndex : nextOptionIndex(filteredCards, -1, 1);
+      if (idx < 0) return;
+      e.preventDefault();
+      onPick(filteredCards[idx]);
+    } else if (e.key === "Escape") {
+      if (!listOpen) return;
+      e.preventDefault();
+      setListOpen(false);
+      setActiveIndex(-1);
+    }
   };
 
-  // Chip click → set the dropdown + selected entry
+  // click/tap outside the search box dismisses the suggestion list
+  useEffect(() => {
+    if (!listOpen) return;
+    const onDocDown = (e) => {
+      if (dropdownRef.current && !dropdownRef.current.contains(e.target)) {
+        setListOpen(false);
+        setActiveIndex(-1);
+      }
+    };
+    document.addEventListener("mousedown", onDocDown);
+    document.addEventListener("touchstart", onDocDown);
+    return () => {
+      document.removeEventListener("mousedown", onDocDown);
+      document.removeEventListener("touchstart", onDocDown);
+    };
+  }, [listOpen]);
+
+  // keep the keyboard-highlighted option visible inside the scrolling list
+  useEffect(() => {
+    if (activeIndex < 0) return;
+    const el = document.getElementById(optionId(activeIndex));
+    if (el && el.scrollIntoView) el.scrollIntoView({ block: "nearest" });
+  }, [activeIndex]);
+
+  // Chip click → add the chip's instrument to my payment methods
   const handleChipClick = (name, type) => {
-    const display = brandCanonicalize(getBase(name));
-    const baseNorm = toNorm(display);
-    setQuery(display);
-    setSelected({ type, display, baseNorm });
+    cancelSearch();
+    addMethod(makeEntry(name, type));
+    setQuery("");
     setFilteredCards([]);
     setNoMatches(false);
   };
 
-  /** Build matches for one CSV: return wrappers {offer, site, variantText} */
-  function matchesFor(offers, type, site) {
-    if (!selected) return [];
+  /** Wrapper for a matched row, or null when its validity dates hide it */
+  function toWrapper(o, platform, variantText) {
+    const validity = parseOfferValidity(o);
+    if (!showExpired && validityStatus(validity) !== "active") return null;
+    return {
+      offer: o,
+      site: platform.name,
+      platformId: platform.id,
+      variantText,
+      terms: parseOfferTerms(o),
+      restrictions: parseOfferRestrictions(o),
+      validity,
+    };
+  }
+
+  /** Build matches for one CSV + one instrument:
+   *  return wrappers {offer, site, platformId, variantText, terms, restrictions, validity, cards} */
+  function matchesFor(offers, entry, platform) {
+    if (!entry) return [];
     const out = [];
     for (const o of offers || []) {
-      let list = [];
-      if (type === "debit") {
-        const dcExplicit =
-          firstField(o, LIST_FIELDS.debit) ||
-          firstFieldByContains(o, "eligible debit") ||
-          firstFieldByContains(o, "debit card");
-        const dcFromHeaders = dcExplicit ? splitList(dcExplicit) : [];
-        let dc = [...dcFromHeaders];
-
-        if (!dc.length) {
-          const typeHint = getRowTypeHint(o);
-          const mixed =
-            firstFieldByContains(o, "eligible cards") ||
-            firstFieldByContains(o, "cards");
-          if (mixed && typeHint === "debit") {
-            dc = splitList(mixed);
-          }
-        }
-        if (!dc.length) {
-          const tokens = Object.values(o || {})
-            .filter((v) => typeof v === "string")
-            .flatMap((v) => splitList(v))
-            .filter((t) => /\bdebit\b/i.test(t));
-          dc = tokens;
-        }
-        list = dc;
-      } else if (type === "upi") {
-        const upi =
-          firstField(o, LIST_FIELDS.upi) || firstFieldByContains(o, "upi");
-        list = splitList(upi);
-      } else if (type === "netbanking" || type === "net banking") {
-        const nb =
-          firstField(o, LIST_FIELDS.netbanking) ||
-          firstFieldByContains(o, "net bank") ||
-          firstFieldByContains(o, "netbank");
-        list = splitList(nb);
-      } else {
-        const cc =
-          firstField(o, LIST_FIELDS.credit) ||
-          firstFieldByContains(o, "eligible credit") ||
-          firstFieldByContains(o, "credit card") ||
-          firstFieldByContains(o, "eligible cards");
-        list = splitList(cc);
-      }
-
       let matched = false;
       let matchedVariant = "";
-      for (const raw of list) {
-        const base = brandCanonicalize(getBase(raw));
-        if (toNorm(base) === selected.baseNorm) {
+      for (const raw of instrumentCells(o, entry.type)) {
+        if (cardKey(raw) === entry.cardKey) {
           matched = true;
           const v = getVariant(raw);
           if (v) matchedVariant = v;
           break;
         }
       }
-      if (matched) {
-        out.push({ offer: o, site, variantText: matchedVariant });
+      const w = matched && toWrapper(o, platform, matchedVariant);
+      if (w) out.push({ ...w, cards: [entry] });
+    }
+    return out;
+  }
+
+  /** Issuer-level match: one pass over the rows checking every credit and debit card
+   *  of the bank; `cards` lists which of them the offer covers */
+  function matchesForBank(offers, entry, platform) {
+    const cardsByType = { credit: new Map(), debit: new Map() }; // cardKey -> entry
+    for (const c of bankCards[entry.display] || []) cardsByType[c.type].set(c.cardKey, c);
+
+    const out = [];
+    for (const o of offers || []) {
+      const cards = [];
+      let matchedVariant = "";
+      for (const type of ["credit", "debit"]) {
+        for (const raw of instrumentCells(o, type)) {
+          const card = cardsByType[type].get(cardKey(raw));
+          if (!card || cards.includes(card)) continue;
+          cards.push(card);
+          if (!matchedVariant) matchedVariant = getVariant(raw);
+        }
       }
+      const w = cards.length && toWrapper(o, platform, matchedVariant);
+      if (w) out.push({ ...w, cards });
     }
     return out;
   }
 
-  // Collect then global-dedup
-  const wSwiggy = matchesFor(swiggyOffers, selected?.type, "Swiggy");
-  const wZomato = matchesFor(zomatoOffers, selected?.type, "Zomato");
-  const wEatsure = matchesFor(eatsureOffers, selected?.type, "Eatsure");
-  const wMagicPin = matchesFor(magicPinOffers, selected?.type, "MagicPin");
+  /** Match every selected instrument; an offer several of them unlock is kept once,
+   *  with `instruments` listing which of my cards / payment methods unlock it */
+  function matchesForMethods(offers, platform) {
+    const byKey = new Map();
+    for (const entry of selectedMethods) {
+      const found =
+        entry.type === "bank"
+          ? matchesForBank(offers, entry, platform)
+          : matchesFor(offers, entry, platform);
+      for (const { cards, ...w } of found) {
+        const k = offerKey(w.offer);
+        if (!byKey.has(k)) byKey.set(k, { ...w, instruments: [] });
+        const instruments = byKey.get(k).instruments;
+        for (const c of cards) {
+          if (!instruments.some((e) => entryId(e) === entryId(c))) instruments.push(c);
+        }
+      }
+    }
+    return Array.from(byKey.values());
+  }
 
-  const seen = new Set();
-  const dSwiggy = dedupWrappers(wSwiggy, seen);
-  const dZomato = dedupWrappers(wZomato, seen);
-  const dEatsure = dedupWrappers(wEatsure, seen);
-  const dMagicPin = dedupWrappers(wMagicPin, seen);
+  /** Per-platform group: drop offers not valid today (if asked), attach the savings for
+   *  the entered cart value, rank by effective ₹ saved once one is given and flag the top pick */
+  const today = new Date().getDay();
+  const prepareGroup = (arr, flagTopPick = true) => {
+    const out = arr
+      .filter((w) => !validTodayOnly || isValidOnDay(w.restrictions, today))
+      .map((w) => ({
+        ...w,
+        savings: computeSavings(w.terms, orderAmount, cashbackDiscount),
+      }));
+    if (orderAmount) out.sort(compareBySavings);
+    if (!flagTopPick) return out;
+    const top = pickTopOffer(
+      out.filter((w) => validityStatus(w.validity) === "active"),
+      orderAmount,
+      cashbackDiscount
+    );
+    return out.map((w) => (w === top ? { ...w, isTopPick: true } : w));
+  };
+
+  // Coupons for everyone: Non-Payments-Offers rows, shown whatever is (or isn't) picked
+  const generalSeen = new Set();
+  const generalGroups = platforms.map((platform) => ({
+    platform,
+    list: prepareGroup(
+      dedupWrappers(
+        (offersBySite[platform.id] || [])
+          .filter(isNonPaymentOffer)
+          .map((o) => ({
+            offer: o,
+            site: platform.name,
+            platformId: platform.id,
+            variantText: "",
+            terms: parseOfferTerms(o),
+            restrictions: parseOfferRestrictions(o),
+            validity: parseOfferValidity(o),
+          }))
+          .filter((w) => showExpired || validityStatus(w.validity) === "active"),
+        generalSeen
+      ),
+      false
+    ),
+  }));
+  const generalsByPlatform = Object.fromEntries(
+    generalGroups.map((g) => [g.platform.id, g.list])
+  );
 
-  const hasAny = Boolean(
-    dSwiggy.length || dZomato.length || dEatsure.length || dMagicPin.length
+  // Saved wallet: this visit's matches (valid ones, whatever the view filters) against
+  // the snapshot from the last visit, once every platform has answered
+  const selectionIsWallet =
+    !!wallet && !urlSelection && isSameWallet(wallet.methods, toWalletMethods(selectedMethods));
+  const walletReady =
+    selectionIsWallet &&
+    catalogReady &&
+    selectedMethods.every((e) => e.type !== "bank" || bankCards[e.display]);
+  const settledIds = platforms
+    .filter((p) => ["loaded", "empty"].includes((offerStatus[p.id] || {}).state))
+    .map((p) => p.id);
+  const walletSeen = {};
+  for (const platform of walletReady ? platforms : []) {
+    if (!settledIds.includes(platform.id)) continue;
+    for (const w of matchesForMethods(offersBySite[platform.id], platform)) {
+      if (validityStatus(w.validity) !== "active") continue;
+      walletSeen[walletOfferKey(w)] = {
+        platformId: platform.id,
+        site: platform.name,
+        title: offerTitle(w.offer),
+        coupon: couponCode(w.offer),
+      };
+    }
+  }
+  const previousSeen =
+    selectionIsWallet && lastVisit && isSameWallet(lastVisit.methods, wallet.methods)
+      ? lastVisit.seen
+      : null;
+  // a platform that failed last time has no snapshot: its offers aren't "new", just unseen
+  const previousSettled = previousSeen ? settledPlatforms(lastVisit) : [];
+  const goneOffers =
+    walletReady && previousSeen
+      ? Object.entries(previousSeen).filter(
+          ([k, o]) => settledIds.includes(o.platformId) && !(k in walletSeen)
+        )
+      : [];
+
+  // Collect per platform (manifest order) then global-dedup; note which general
+  // coupons each card offer can be combined with and the best such combination
+  const seen = new Set();
+  const offerGroups = platforms.map((platform) => {
+    const generals = generalsByPlatform[platform.id] || [];
+    const list = prepareGroup(
+      dedupWrappers(matchesForMethods(offersBySite[platform.id], platform), seen)
+    ).map((w) => {
+      const stacksWith = generals.filter(
+        (g) => validityStatus(g.validity) === "active" && canStackWithCoupon(w.offer, g.offer)
+      );
+      const stack = bestStackFor(w, stacksWith, orderAmount, cashbackDiscount);
+      return {
+        ...w,
+        stacksWith,
+        stack: stack && stack.parts.length > 1 ? stack : null,
+        isNew:
+          !!previousSeen &&
+          previousSettled.includes(w.platformId) &&
+          !(walletOfferKey(w) in previousSeen),
+      };
+    });
+    const bestStack = list.reduce(
+      (best, w) => (w.stack && (!best || w.stack.effective > best.stack.effective) ? w : best),
+      null
+    );
+    return {
+      platform,
+      list: list.map((w) => (w === bestStack ? { ...w, isBestStack: true } : w)),
+    };
+  });
+  const platformById = Object.fromEntries(platforms.map((p) => [p.id, p]));
+
+  const hasAny = offerGroups.some((g) => g.list.length > 0);
+  const newOffers = offerGroups.flatMap((g) => g.list).filter((w) => w.isNew);
+
+  // what the results section shows: the filter bar applied to the matches
+  const visibleGroups = applyOfferFilters(offerGroups, offerFilters, offerSort);
+  const totalCount = offerGroups.reduce((n, g) => n + g.list.length, 0);
+  const visibleCount = visibleGroups.reduce((n, g) => n + g.list.length, 0);
+  const filtersActive = isFiltering(offerFilters);
+  const updateFilters = (patch) => setOfferFilters((prev) => ({ ...prev, ...patch }));
+  const togglePlatform = (id) =>
+    setOfferFilters((prev) => ({
+      ...prev,
+      hiddenPlatforms: prev.hiddenPlatforms.includes(id)
+        ? prev.hiddenPlatforms.filter((p) => p !== id)
+        : [...prev.hiddenPlatforms, id],
+    }));
+
+  // keep the wallet in localStorage and its snapshot up to date
+  useEffect(() => {
+    storeWallet(wallet);
+  }, [wallet]);
+  const walletSeenJson = walletReady ? JSON.stringify(walletSeen) : ""; // stable effect dep
+  const settledKey = settledIds.join(",");
+  useEffect(() => {
+    if (walletSeenJson) {
+      recordWalletVisit(JSON.parse(walletSeenJson), settledKey.split(","), setWallet);
+    }
+  }, [walletSeenJson, settledKey]);
+  // a platform still loading (or failed) still gets a group: skeleton / retry
+  const hasPending = Object.values(offerStatus).some(
+    (st) => st.state === "loading" || st.state === "failed"
   );
 
-  /** Offer card UI (Swiggy/Zomato) with image fallback handling */
+  const showSuggestions = listOpen && !!query.trim() && !!filteredCards.length;
+  const matchCount = filteredCards.filter((it) => it.type !== "heading").length;
+
+  /** Copy text to the clipboard, through a hidden textarea where the Clipboard API is missing */
   const copyCoupon = async (code) => {
     const text = String(code || "").trim();
     if (!text) return;
@@ -807,404 +1834,894 @@ const AirlineOffers = () => {
       document.body.removeChild(ta);
     }
   };
+  /** -------- share menu: what the results section currently shows -------- */
+  const shownGroups = visibleGroups.filter((g) => g.list.length);
+  const shareHeading = t("share.heading", {
+    methods: selectedMethods.map((e) => e.display).join(", "),
+  });
+  const shareText = () =>
+    offersSummaryText(shownGroups, selectedMethods.map((e) => e.display));
+  const copySummary = async () => {
+    await copyCoupon(shareText());
+    setShareNote(t("share.summaryCopied"));
+  };
+  const copyAllCodes = async () => {
+    const codes = allCouponCodes(shownGroups);
+    await copyCoupon(codes.join("\n"));
+    setShareNote(t("share.codesCopied", { count: codes.length }));
+  };
+  const downloadImage = async () => {
+    try {
+      downloadBlob("offers.png", await drawOffersImage(shownGroups, shareHeading, orderAmount));
+      setShareNote(t("share.imageDone"));
+    } catch (e) {
+      console.error("Offer image failed:", e);
+      setShareNote(t("share.imageFailed"));
+    }
+  };
+  const shareNative = () =>
+    navigator.share({ title: shareHeading, text: shareText() }).catch(() => {}); // dismissed
+
+  // a whole bank is selected: split each platform's offers by the cards that unlock them
+  const groupByCard = selectedMethods.some((e) => e.type === "bank");
+
+  /** Props for one OfferCard; the "unlocked by" line only helps when several methods share a list */
+  const cardProps = (w) => ({
+    wrapper: w,
+    platform: platformById[w.platformId] || {},
+    orderAmount,
+    showUnlockedBy: selectedMethods.length > 1 && !groupByCard,
+    onCopyCoupon: copyCoupon,
+  });
+
+  /** One "Offers On {platform}" group: skeleton while loading, inline error + retry on failure */
+  const renderOfferGroup = ({ platform, list }) => {
+    const status = offerStatus[platform.id] || {};
+    const fileInfo = dataManifest && dataManifest.files[platform.csv];
+    const heading = (
+      <h2 style={{ textAlign: "center" }}>
+        {t("results.offersOn", { platform: platform.name })}
+        {fileInfo && <span className="data-updated"> · {describeUpdated(fileInfo.updatedAt)}</span>}
+      </h2>
+    );
 
-  const OfferCard = ({ wrapper }) => {
-    const o = wrapper.offer;
-
-    // fields: Offer, Description, Image(s), Link
-    const title =
-      o["Offer"] ||
-      firstField(o, LIST_FIELDS.title) ||
-      o.Website ||
-      "Offer";
-    const desc =
-      o["Description"] ||
-      firstField(o, LIST_FIELDS.desc) ||
-      "";
-    const coupon =
-      o["Coupon Code"] ||
-      o["Coupon"] ||
-      o["Code"] ||
-      "";
-    const candidateImage =
-      o["Images"] ||
-      firstField(o, LIST_FIELDS.image) ||
-      "";
-    const link = firstField(o, LIST_FIELDS.link);
-
-    const showVariantNote =
-      VARIANT_NOTE_SITES.has(wrapper.site) &&
-      wrapper.variantText &&
-      wrapper.variantText.trim().length > 0;
-
-    // Decide actual image (poster vs site-logo)
-    const siteKey = String(wrapper.site || "").toLowerCase();
-    const { src: imgSrc, usingFallback } = resolveImage(siteKey, candidateImage);
+    if (status.state === "loading") {
+      return (
+        <div key={platform.id} className="offer-group" aria-busy="true">
+          {heading}
+          <div className="offer-grid">
+            {[0, 1, 2].map((i) => (
+              <div key={`sk-${i}`} className="offer-card offer-skeleton">
+                <div className="skeleton-img" />
+                <div className="offer-info">
+                  <div className="skeleton-line" />
+                  <div className="skeleton-line short" />
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      );
+    }
 
-    return (
-      <div className="offer-card">
-        {imgSrc && (
-          <img
-            className={`offer-img ${usingFallback ? "is-fallback" : ""}`}
-            src={imgSrc}
-            alt={title}
-            onError={(e) => handleImgError(e, siteKey)}
-          />
-        )}
-        <div className="offer-info">
-          <h3 className="offer-title">{title}</h3>
-          {desc && <p className="offer-desc">{desc}</p>}
+    if (status.state === "failed") {
+      return (
+        <div key={platform.id} className="offer-group">
+          {heading}
+          <div className="offer-load-error" role="alert">
+            <span>
+              {t("results.loadFailed", { platform: platform.name, error: errorText(status) })}
+            </span>
+            <button
+              type="button"
+              className="btn retry-btn"
+              onClick={() => retryOffers(platform)}
+            >
+              {t("results.retry")}
+            </button>
+          </div>
+        </div>
+      );
+    }
 
-          {coupon && (
-            <div className="coupon-wrap">
-              <div className="coupon-title">Coupon Code</div>
-              <button
-                type="button"
-                className="coupon-code"
-                onClick={() => copyCoupon(coupon)}
-                title="Click to copy coupon code"
-              >
-                <span className="coupon-value">{coupon}</span>
-                <span className="coupon-hint">Click to copy</span>
-              </button>
+    if (!list.length) return null;
+    if (groupByCard) {
+      return (
+        <div key={platform.id} className="offer-group">
+          {heading}
+          {groupByCards(list).map(({ key, cards, items }) => (
+            <div key={key} className="card-subgroup">
+              <h3 className="card-subgroup-heading">{describeCards(cards)}</h3>
+              <div className="offer-grid">
+                {items.map((w) => (
+                  <OfferCard key={offerKey(w.offer)} {...cardProps(w)} />
+                ))}
+              </div>
             </div>
-          )}
+          ))}
+        </div>
+      );
+    }
+    return (
+      <div key={platform.id} className="offer-group">
+        {heading}
+        <div className="offer-grid">
+          {list.map((w) => (
+            <OfferCard key={offerKey(w.offer)} {...cardProps(w)} />
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  /** Platforms side by side: each column shows that platform's best matched offer */
+  const renderComparisonTable = () => {
+    const columns = visibleGroups.map(({ platform, list }) => ({
+      platform,
+      status: offerStatus[platform.id] || {},
+      count: list.length,
+      best: list.find((w) => w.isTopPick) || list[0] || null,
+      bestStack: list.find((w) => w.isBestStack) || null,
+    }));
+    const winner = pickTopOffer(
+      columns.map((c) => c.best).filter(Boolean),
+      orderAmount,
+      cashbackDiscount
+    );
 
-          {link && (
-            <button className="btn" onClick={() => window.open(link, "_blank")}>
-              View Offer
+    const limitLabels = (w) =>
+      restrictionBadges(w.restrictions)
+        .filter((b) => b.kind !== "days")
+        .map((b) => b.label)
+        .join(", ");
+
+    const rows = [
+      {
+        label: t("compare.bestDiscount"),
+        render: (w) => (
+          <>
+            <strong>{describeDiscount(w.terms) || offerTitle(w.offer)}</strong>
+            {orderAmount && w.savings && w.savings.savings !== null && (
+              <span className="compare-sub">
+                {w.savings.eligible
+                  ? t("card.youSaveShort", { savings: formatRupees(w.savings.savings) })
+                  : t("card.notEligible", { reason: w.savings.reason })}
+              </span>
+            )}
+            {orderAmount && w.savings?.eligible && w.savings.effective !== w.savings.savings && (
+              <span className="compare-sub">
+                {t("card.effectiveValue", { amount: formatRupees(w.savings.effective) })}
+              </span>
+            )}
+          </>
+        ),
+      },
+      {
+        label: t("compare.maxDiscount"),
+        render: (w) =>
+          w.terms.cap
+            ? formatRupees(w.terms.cap)
+            : w.terms.kind === "flat" && w.terms.flat
+            ? formatRupees(w.terms.flat)
+            : t("compare.noCap"),
+      },
+      {
+        label: t("compare.minOrder"),
+        render: (w) =>
+          w.terms.minOrder ? formatRupees(w.terms.minOrder) : t("compare.noneStated"),
+      },
+      {
+        label: t("compare.coupon"),
+        render: (w) => {
+          const code = couponCode(w.offer);
+          if (!code) return t("compare.notNeeded");
+          return (
+            <button
+              type="button"
+              className="coupon-code compare-coupon"
+              onClick={() => copyCoupon(code)}
+              title={t("card.copyTitle")}
+            >
+              <span className="coupon-value">{code}</span>
             </button>
-          )}
+          );
+        },
+      },
+      {
+        label: t("compare.benefit"),
+        render: (w) => {
+          const payout = payoutLabel(w.terms);
+          if (!payout) return t("compare.notStated");
+          return [payout.label, ...payout.details].join(", ");
+        },
+      },
+      {
+        label: t("compare.usage"),
+        render: (w) => limitLabels(w) || t("compare.notStated"),
+      },
+      {
+        label: t("compare.bestStack"),
+        render: (w, c) => {
+          if (!c.bestStack) return t("compare.noStack");
+          const { parts, total, effective } = c.bestStack.stack;
+          return (
+            <>
+              <strong>{t("compare.total", { amount: formatRupees(total) })}</strong>
+              <span className="compare-sub">
+                {parts
+                  .map((p) => couponCode(p.wrapper.offer) || describeDiscount(p.wrapper.terms))
+                  .join(" + ")}
+              </span>
+              {effective !== total && (
+                <span className="compare-sub">
+                  {t("card.effectiveValue", { amount: formatRupees(effective) })}
+                </span>
+              )}
+            </>
+          );
+        },
+      },
+    ];
 
-          {showVariantNote && (
-            <p className="network-note">
-              <strong>Note:</strong> This benefit is applicable only on{" "}
-              <em>{wrapper.variantText}</em> variant
-            </p>
-          )}
-        </div>
+    const cell = (c, render) => {
+      if (c.status.state === "loading") {
+        return <span className="compare-muted">{t("compare.loading")}</span>;
+      }
+      if (c.status.state === "failed") {
+        return <span className="compare-muted">{t("compare.failed")}</span>;
+      }
+      if (!c.best) return <span className="compare-muted">{t("compare.noOffer")}</span>;
+      return render(c.best, c);
+    };
+
+    return (
+      <div className="compare-wrap">
+        <table className="compare-table">
+          <caption className="sr-only">{t("compare.caption")}</caption>
+          <thead>
+            <tr>
+              <td />
+              {columns.map((c) => (
+                <th
+                  key={c.platform.id}
+                  scope="col"
+                  className={c.best && c.best === winner ? "is-best" : ""}
+                >
+                  {c.platform.name}
+                  {c.best && c.best === winner && (
+                    <span className="compare-best-tag">{t("compare.bestDeal")}</span>
+                  )}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <th scope="row">{t("compare.matched")}</th>
+              {columns.map((c) => (
+                <td key={c.platform.id}>
+                  {c.status.state === "loading" || c.status.state === "failed"
+                    ? cell(c)
+                    : c.count}
+                </td>
+              ))}
+            </tr>
+            {rows.map((r) => (
+              <tr key={r.label}>
+                <th scope="row">{r.label}</th>
+                {columns.map((c) => (
+                  <td
+                    key={c.platform.id}
+                    className={c.best && c.best === winner ? "is-best" : ""}
+                  >
+                    {cell(c, r.render)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {columns.some((c) => c.status.state === "failed") && (
+          <div className="compare-retry">
+            {columns
+              .filter((c) => c.status.state === "failed")
+              .map((c) => (
+                <button
+                  key={c.platform.id}
+                  type="button"
+                  className="btn retry-btn"
+                  onClick={() => retryOffers(c.platform)}
+                >
+                  {t("results.retryPlatform", { platform: c.platform.name })}
+                </button>
+              ))}
+          </div>
+        )}
       </div>
     );
   };
 
-  const chipUPIOrNB = [
-    ...chipUPI.map((name) => ({ name, type: "upi" })),
-    ...chipNB.map((name) => ({ name, type: "netbanking" })),
-  ];
+  /** Filter + sort bar above the results; applies to both layouts and the share menu */
+  const renderFilterBar = () => (
+    <div className="filter-bar" role="group" aria-label={t("filters.label")}>
+      <fieldset className="filter-platforms">
+        <legend>{t("filters.platforms")}</legend>
+        {platforms.map((p) => (
+          <label key={p.id} className="filter-check">
+            <input
+              type="checkbox"
+              checked={!offerFilters.hiddenPlatforms.includes(p.id)}
+              onChange={() => togglePlatform(p.id)}
+            />{" "}
+            {p.name}
+          </label>
+        ))}
+      </fieldset>
+
+      <label className="filter-field">
+        {t("filters.benefit")}
+        <select
+          value={offerFilters.benefit}
+          onChange={(e) => updateFilters({ benefit: e.target.value })}
+        >
+          <option value="any">{t("filters.benefitAny")}</option>
+          <option value="instant">{t("filters.benefitInstant")}</option>
+          <option value="cashback">{t("filters.benefitCashback")}</option>
+          <option value="bank">{t("filters.benefitBank")}</option>
+          <option value="wallet">{t("filters.benefitWallet")}</option>
+          <option value="rewards">{t("filters.benefitRewards")}</option>
+        </select>
+      </label>
+
+      <label className="filter-field">
+        {t("filters.maxMinOrder")}
+        <input
+          type="text"
+          inputMode="numeric"
+          value={offerFilters.maxMinOrder}
+          onChange={(e) => updateFilters({ maxMinOrder: e.target.value.replace(/[^\d]/g, "") })}
+          placeholder={t("filters.maxMinOrderPlaceholder")}
+        />
+      </label>
+
+      <label className="filter-check">
+        <input
+          type="checkbox"
+          checked={offerFilters.hasCoupon}
+          onChange={(e) => updateFilters({ hasCoupon: e.target.checked })}
+        />{" "}
+        {t("filters.hasCoupon")}
+      </label>
+
+      {orderAmount && (
+        <label className="filter-check">
+          <input
+            type="checkbox"
+            checked={offerFilters.hideIneligible}
+            onChange={(e) => updateFilters({ hideIneligible: e.target.checked })}
+          />{" "}
+          {t("filters.hideIneligible", { amount: formatRupees(orderAmount) })}
+        </label>
+      )}
+
+      <label className="filter-field">
+        {t("filters.sort")}
+        <select value={offerSort} onChange={(e) => setOfferSort(e.target.value)}>
+          {OFFER_SORTS.map((key) => (
+            <option key={key} value={key}>
+              {t(`sort.${key}`)}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <p className="filter-summary" aria-live="polite">
+        {t("filters.showing", { shown: visibleCount, count: totalCount })}
+        {filtersActive && (
+          <button
+            type="button"
+            className="method-clear"
+            onClick={() => setOfferFilters(DEFAULT_OFFER_FILTERS)}
+          >
+            {t("filters.clear")}
+          </button>
+        )}
+      </p>
+    </div>
+  );
+
+  /** Short per-platform load summary shown under the search box */
+  const describeStatus = (platform) => {
+    const st = offerStatus[platform.id] || {};
+    const vars = { platform: platform.name };
+    if (st.state === "loaded") return t("status.loaded", { ...vars, count: st.rows });
+    if (st.state === "empty") return t("status.empty", vars);
+    if (st.state === "failed") return t("status.failed", vars);
+    return t("status.loading", vars);
+  };
+
+  const bankGroups = groupByBank(browserItems, browserFilter);
+  // oldest data copy on screen (ISO times sort as strings), for the offline banner
+  const dataAsOf =
+    [cardsCachedAt, ...Object.values(offerStatus).map((st) => st.cachedAt)]
+      .filter(Boolean)
+      .sort()[0] || null;
+
+  if (route === "changelog") return <DataChangelog />;
+  if (route === "editor") {
+    return (
+      <Suspense fallback={<p className="whats-new-note">{t("editor.loading")}</p>}>
+        <OfferEditor
+          platforms={platforms}
+          cardNames={{
+            credit: creditEntries.map((e) => e.display),
+            debit: debitEntries.map((e) => e.display),
+          }}
+          knownCards={new Set([...creditEntries, ...debitEntries].map((e) => e.cardKey))}
+          fetchCsvText={fetchCsvText}
+          renderPreview={(w) => <OfferCard {...cardProps(w)} />}
+        />
+      </Suspense>
+    );
+  }
 
   return (
     <div className="App" style={{ fontFamily: "'Libre Baskerville', serif" }}>
-      {/* Cards-with-offers strip container */}
-      {(chipCC.length > 0 ||
-        chipDC.length > 0 ||
-        chipUPI.length > 0 ||
-        chipNB.length > 0) && (
+      <label className="language-switcher">
+        {t("language.label")}{" "}
+        <select value={language} onChange={(e) => changeLanguage(e.target.value)}>
+          {LANGUAGES.map((l) => (
+            <option key={l.code} value={l.code} lang={l.code}>
+              {l.label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {!online && (
+        <p className="offline-banner" role="status">
+          {dataAsOf
+            ? t("offline.since", { time: formatDataTime(dataAsOf) })
+            : t("offline.plain")}
+        </p>
+      )}
+
+      {/* Instrument browser: everything the offer CSVs mention, grouped by bank */}
+      {browserItems.length > 0 && (
+        <section className="instrument-browser" aria-labelledby="instrument-browser-title">
+          <div className="instrument-browser-head">
+            <h2 id="instrument-browser-title">{t("browser.title")}</h2>
+            <input
+              type="search"
+              value={browserFilter}
+              onChange={(e) => setBrowserFilter(e.target.value)}
+              placeholder={t("browser.filterPlaceholder")}
+              className="dropdown-input instrument-filter"
+              aria-label={t("browser.filterLabel")}
+            />
+          </div>
+
+          <div className="instrument-groups">
+            {bankGroups.map((g) => (
+              <div key={g.bank} className="instrument-group">
+                <h3 className="instrument-bank">
+                  {g.bank}{" "}
+                  <span className="instrument-bank-count">
+                    {t("browser.offers", { count: g.total })}
+                  </span>
+                </h3>
+                <div className="instrument-items">
+                  {g.items.map((it) => (
+                    <button
+                      key={`${it.type}:${it.name}`}
+                      type="button"
+                      className="instrument-chip"
+                      onClick={() => handleChipClick(it.name, it.type)}
+                      title={t("browser.showOffers", { name: it.name })}
+                    >
+                      {it.name}
+                      <span className="instrument-type">{t(`type.${it.type}`)}</span>
+                      <span className="instrument-count">{it.count}</span>
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ))}
+            {!bankGroups.length && (
+              <p className="instrument-empty">
+                {t("browser.empty", { filter: browserFilter })}
+              </p>
+            )}
+          </div>
+        </section>
+      )}
+
+      {/* Search / dropdown + cart value */}
+      <div className="search-row">
         <div
-          style={{
-            maxWidth: 1200,
-            margin: "14px auto 0",
-            padding: "14px 16px",
-            background: "#F7F9FC",
-            border: "1px solid #E8EDF3",
-            borderRadius: 10,
-            boxShadow: "0 6px 18px rgba(15,23,42,.06)",
-          }}
+          className="dropdown"
+          ref={dropdownRef}
+          style={{ position: "relative", width: "600px" }}
         >
-          <div
+          <input
+            type="text"
+            value={query}
+            onChange={onChangeQuery}
+            onKeyDown={onSearchKeyDown}
+            onFocus={() => query.trim() && setListOpen(true)}
+            placeholder={
+              selectedMethods.length ? t("search.placeholderMore") : t("search.placeholder")
+            }
+            className="dropdown-input"
+            role="combobox"
+            aria-label={t("search.label")}
+            aria-autocomplete="list"
+            aria-expanded={showSuggestions}
+            aria-controls={LISTBOX_ID}
+            aria-activedescendant={
+              showSuggestions && activeIndex >= 0 ? optionId(activeIndex) : undefined
+            }
+            aria-invalid={noMatches || undefined}
+            autoComplete="off"
             style={{
-              fontWeight: 700,
-              fontSize: 16,
-              color: "#1F2D45",
-              marginBottom: 10,
-              display: "flex",
-              justifyContent: "center",
-              gap: 8,
+              width: "100%",
+              padding: "12px",
+              fontSize: "16px",
+              border: `1px solid ${noMatches ? "#d32f2f" : "#ccc"}`,
+              borderRadius: "6px",
             }}
-          >
-            <span>Credit, Debit, UPI And Net Banking Which Have Offers</span>
-          </div>
-
-          {/* Credit strip */}
-          {chipCC.length > 0 && (
-            <marquee
-              direction="left"
-              scrollamount="4"
-              style={{ marginBottom: 8, whiteSpace: "nowrap" }}
-            >
-              <strong style={{ marginRight: 10, color: "#1F2D45" }}>
-                Credit Cards:
-              </strong>
-              {chipCC.map((name, idx) => (
-                <span
-                  key={`cc-chip-${idx}`}
-                  role="button"
-                  tabIndex={0}
-                  onClick={() => handleChipClick(name, "credit")}
-                  onKeyDown={(e) =>
-                    e.key === "Enter" ? handleChipClick(name, "credit") : null
-                  }
-                  style={{
-                    display: "inline-block",
-                    padding: "6px 10px",
-                    border: "1px solid #E0E6EE",
-                    borderRadius: 9999,
-                    marginRight: 8,
-                    background: "#fff",
-                    boxShadow: "0 1px 2px rgba(0,0,0,0.05)",
-                    cursor: "pointer",
-                    fontSize: 14,
-                    lineHeight: 1.2,
-                    userSelect: "none",
-                  }}
-                  onMouseOver={(e) =>
-                    (e.currentTarget.style.background = "#F0F5FF")
-                  }
-                  onMouseOut={(e) =>
-                    (e.currentTarget.style.background = "#fff")
-                  }
-                  title="Click to select this card"
-                >
-                  {name}
-                </span>
-              ))}
-            </marquee>
-          )}
-
-          {/* Debit strip */}
-          {chipDC.length > 0 && (
-            <marquee
-              direction="left"
-              scrollamount="4"
+          />
+          {showSuggestions && (
+            <ul
+              id={LISTBOX_ID}
+              role="listbox"
+              aria-label={t("search.listLabel")}
+              className="dropdown-list"
               style={{
-                marginBottom: chipUPIOrNB.length > 0 ? 8 : 0,
-                whiteSpace: "nowrap",
+                listStyle: "none",
+                padding: "10px",
+                margin: 0,
+                width: "100%",
+                maxHeight: "260px",
+                overflowY: "auto",
+                border: "1px solid #ccc",
+                borderRadius: "6px",
+                backgroundColor: "#fff",
+                position: "absolute",
+                zIndex: 1000,
               }}
             >
-              <strong style={{ marginRight: 10, color: "#1F2D45" }}>
-                Debit Cards:
-              </strong>
-              {chipDC.map((name, idx) => (
-                <span
-                  key={`dc-chip-${idx}`}
-                  role="button"
-                  tabIndex={0}
-                  onClick={() => handleChipClick(name, "debit")}
-                  onKeyDown={(e) =>
-                    e.key === "Enter" ? handleChipClick(name, "debit") : null
-                  }
-                  style={{
-                    display: "inline-block",
-                    padding: "6px 10px",
-                    border: "1px solid #E0E6EE",
-                    borderRadius: 9999,
-                    marginRight: 8,
-                    background: "#fff",
-                    boxShadow: "0 1px 2px rgba(0,0,0,0.05)",
-                    cursor: "pointer",
-                    fontSize: 14,
-                    lineHeight: 1.2,
-                    userSelect: "none",
-                  }}
-                  onMouseOver={(e) =>
-                    (e.currentTarget.style.background = "#F0F5FF")
-                  }
-                  onMouseOut={(e) =>
-                    (e.currentTarget.style.background = "#fff")
-                  }
-                  title="Click to select this card"
-                >
-                  {name}
-                </span>
-              ))}
-            </marquee>
-          )}
-
-          {/* UPI / Net Banking strip */}
-          {chipUPIOrNB.length > 0 && (
-            <marquee
-              direction="left"
-              scrollamount="4"
-              style={{ whiteSpace: "nowrap" }}
-            >
-              <strong style={{ marginRight: 10, color: "#1F2D45" }}>
-                UPI / Net Banking:
-              </strong>
-              {chipUPIOrNB.map((item, idx) => (
-                <span
-                  key={`upi-nb-chip-${item.type}-${idx}`}
-                  role="button"
-                  tabIndex={0}
-                  onClick={() => handleChipClick(item.name, item.type)}
-                  onKeyDown={(e) =>
-                    e.key === "Enter" ? handleChipClick(item.name, item.type) : null
-                  }
-                  style={{
-                    display: "inline-block",
-                    padding: "6px 10px",
-                    border: "1px solid #E0E6EE",
-                    borderRadius: 9999,
-                    marginRight: 8,
-                    background: "#fff",
-                    boxShadow: "0 1px 2px rgba(0,0,0,0.05)",
-                    cursor: "pointer",
-                    fontSize: 14,
-                    lineHeight: 1.2,
-                    userSelect: "none",
-                  }}
-                  onMouseOver={(e) =>
-                    (e.currentTarget.style.background = "#F0F5FF")
-                  }
-                  onMouseOut={(e) =>
-                    (e.currentTarget.style.background = "#fff")
-                  }
-                  title="Click to select this option"
-                >
-                  {item.name}
-                </span>
-              ))}
-            </marquee>
+              {filteredCards.map((item, idx) =>
+                item.type === "heading" ? (
+                  <li
+                    key={`h-${idx}`}
+                    role="presentation"
+                    style={{
+                      padding: "8px 10px",
+                      fontWeight: 700,
+                      background: "#fafafa",
+                    }}
+                  >
+                    {t(`section.${item.section}`)}
+                  </li>
+                ) : (
+                  <li
+                    key={`i-${idx}-${item.display}`}
+                    id={optionId(idx)}
+                    role="option"
+                    aria-selected={idx === activeIndex}
+                    onClick={() => onPick(item)}
+                    onMouseDown={(e) => e.preventDefault()} // keep focus in the input
+                    onMouseEnter={() => setActiveIndex(idx)}
+                    style={{
+                      padding: "10px",
+                      cursor: "pointer",
+                      borderBottom: "1px solid #f2f2f2",
+                      background: idx === activeIndex ? "#f7f9ff" : "transparent",
+                    }}
+                  >
+                    {item.display}
+                    {item.type === "bank" && (
+                      <span className="option-hint">
+                        {" "}
+                        {t("search.bankHint", { count: (bankCards[item.display] || []).length })}
+                      </span>
+                    )}
+                  </li>
+                )
+              )}
+            </ul>
           )}
+          <div className="sr-only" role="status" aria-live="polite">
+            {noMatches && query.trim()
+              ? describeMatchCount(0)
+              : showSuggestions
+              ? describeMatchCount(matchCount)
+              : ""}
+          </div>
         </div>
-      )}
 
-      {/* Search / dropdown */}
-      <div
-        className="dropdown"
-        style={{ position: "relative", width: "600px", margin: "20px auto" }}
-      >
         <input
           type="text"
-          value={query}
-          onChange={onChangeQuery}
-          placeholder="Type a Credit or Debit Card...."
-          className="dropdown-input"
-          style={{
-            width: "100%",
-            padding: "12px",
-            fontSize: "16px",
-            border: `1px solid ${noMatches ? "#d32f2f" : "#ccc"}`,
-            borderRadius: "6px",
-          }}
+          inputMode="numeric"
+          value={orderAmount}
+          onChange={(e) => setOrderAmount(e.target.value.replace(/[^\d]/g, ""))}
+          placeholder={t("amount.placeholder")}
+          className="dropdown-input amount-input"
+          aria-label={t("amount.label")}
         />
-        {query.trim() && !!filteredCards.length && (
-          <ul
-            className="dropdown-list"
-            style={{
-              listStyle: "none",
-              padding: "10px",
-              margin: 0,
-              width: "100%",
-              maxHeight: "260px",
-              overflowY: "auto",
-              border: "1px solid #ccc",
-              borderRadius: "6px",
-              backgroundColor: "#fff",
-              position: "absolute",
-              zIndex: 1000,
-            }}
+      </div>
+
+      <label className="valid-today-toggle">
+        <input
+          type="checkbox"
+          checked={validTodayOnly}
+          onChange={(e) => setValidTodayOnly(e.target.checked)}
+        />{" "}
+        {t("filter.validToday")}
+      </label>
+      <label className="valid-today-toggle">
+        <input
+          type="checkbox"
+          checked={showExpired}
+          onChange={(e) => setShowExpired(e.target.checked)}
+        />{" "}
+        {t("filter.showExpired")}
+      </label>
+      <label className="cashback-discount" title={t("cashback.hint")}>
+        {t("cashback.label")}{" "}
+        <select
+          value={cashbackDiscount}
+          onChange={(e) => changeCashbackDiscount(Number(e.target.value))}
+        >
+          {CASHBACK_DISCOUNTS.map((p) => (
+            <option key={p} value={p}>
+              {p === 0 ? t("cashback.none") : formatPercent(p)}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <p className="offer-status-line" aria-live="polite">
+        {platformsError ? (
+          <span className="offer-status is-failed">
+            {t("status.platformsFailed", { error: errorText(platformsError) })}
+          </span>
+        ) : (
+          platforms.map((p, i) => (
+            <span
+              key={p.id}
+              className={`offer-status is-${(offerStatus[p.id] || {}).state || "loading"}`}
+            >
+              {i > 0 && " · "}
+              {describeStatus(p)}
+            </span>
+          ))
+        )}
+        {dataManifest && (
+          <>
+            {" · "}
+            <a href="#/changelog">{t("status.whatChanged")}</a>
+          </>
+        )}
+      </p>
+
+      {/* My payment methods */}
+      {selectedMethods.length > 0 && (
+        <div className="my-methods">
+          <span className="my-methods-label">{t("methods.label")}</span>
+          {selectedMethods.map((e) => (
+            <span key={entryId(e)} className="method-chip">
+              {e.display}
+              <button
+                type="button"
+                className="method-chip-remove"
+                onClick={() => removeMethod(e)}
+                aria-label={t("methods.remove", { name: e.display })}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+          <button
+            type="button"
+            className="method-clear"
+            onClick={() => setSelectedMethods([])}
           >
-            {filteredCards.map((item, idx) =>
-              item.type === "heading" ? (
-                <li
-                  key={`h-${idx}`}
-                  style={{
-                    padding: "8px 10px",
-                    fontWeight: 700,
-                    background: "#fafafa",
-                  }}
-                >
-                  {item.label}
-                </li>
+            {t("methods.clear")}
+          </button>
+        </div>
+      )}
+
+      {/* Saved wallet */}
+      {(wallet || selectedMethods.length > 0) && (
+        <div className="wallet-bar">
+          {selectionIsWallet ? (
+            <>
+              <span className="wallet-note">{t("wallet.saved")}</span>
+              {!walletView && (
+                <button type="button" className="btn wallet-btn" onClick={() => setWalletView(true)}>
+                  {t("wallet.whatsNew")}
+                </button>
+              )}
+              <button type="button" className="method-clear" onClick={forgetWallet}>
+                {t("wallet.forget")}
+              </button>
+            </>
+          ) : (
+            <>
+              {wallet && (
+                <button type="button" className="btn wallet-btn" onClick={openWallet}>
+                  {t("wallet.whatsNew")}
+                </button>
+              )}
+              {selectedMethods.length > 0 && (
+                <button type="button" className="btn wallet-btn" onClick={saveWallet}>
+                  {wallet ? t("wallet.replace") : t("wallet.save")}
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      {walletView && selectionIsWallet && (
+        <section className="whats-new" aria-labelledby="whats-new-title">
+          <div className="whats-new-header">
+            <h2 id="whats-new-title">{t("wallet.whatsNew")}</h2>
+            <button type="button" className="method-clear" onClick={() => setWalletView(false)}>
+              {t("wallet.close")}
+            </button>
+          </div>
+          {!walletReady ? (
+            <p className="whats-new-note">{t("wallet.checking")}</p>
+          ) : !previousSeen ? (
+            <p className="whats-new-note">{t("wallet.firstVisit")}</p>
+          ) : (
+            <>
+              <h3>
+                {newOffers.length > 0
+                  ? t("wallet.newHeadingCount", { count: newOffers.length })
+                  : t("wallet.newHeading")}
+              </h3>
+              {newOffers.length ? (
+                <div className="offer-grid">
+                  {newOffers.map((w) => (
+                    <OfferCard key={`new-${w.platformId}-${offerKey(w.offer)}`} {...cardProps(w)} />
+                  ))}
+                </div>
               ) : (
-                <li
-                  key={`i-${idx}-${item.display}`}
-                  onClick={() => onPick(item)}
-                  style={{
-                    padding: "10px",
-                    cursor: "pointer",
-                    borderBottom: "1px solid #f2f2f2",
-                  }}
-                  onMouseOver={(e) =>
-                    (e.currentTarget.style.background = "#f7f9ff")
-                  }
-                  onMouseOut={(e) =>
-                    (e.currentTarget.style.background = "transparent")
-                  }
-                >
-                  {item.display}
-                </li>
-              )
-            )}
-          </ul>
-        )}
-      </div>
+                <p className="whats-new-note">{t("wallet.noNew")}</p>
+              )}
+              {goneOffers.length > 0 && (
+                <>
+                  <h3>{t("wallet.gone", { count: goneOffers.length })}</h3>
+                  <ul className="gone-offers">
+                    {goneOffers.map(([k, o]) => (
+                      <li key={k}>
+                        {o.title || t("wallet.untitled")}{" "}
+                        <span className="gone-site">{t("wallet.onSite", { site: o.site })}</span>
+                        {o.coupon && <code className="gone-coupon">{o.coupon}</code>}
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+            </>
+          )}
+        </section>
+      )}
 
       {noMatches && query.trim() && (
         <p style={{ color: "#d32f2f", textAlign: "center", marginTop: 8 }}>
-          No matching cards found. Please try a different name.
+          {t("search.notFound")}
         </p>
       )}
 
       {/* Offers by section */}
-      {selected && hasAny && !noMatches && (
+      {selectedMethods.length > 0 && (hasAny || hasPending) && (
         <div
           className="offers-section"
           style={{ maxWidth: 1200, margin: "0 auto", padding: 20 }}
         >
-          {!!dSwiggy.length && (
-            <div className="offer-group">
-              <h2 style={{ textAlign: "center" }}>Offers On Swiggy</h2>
-              <div className="offer-grid">
-                {dSwiggy.map((w, i) => (
-                  <OfferCard key={`sw-${i}`} wrapper={w} />
-                ))}
-              </div>
-            </div>
-          )}
-
-          {!!dZomato.length && (
-            <div className="offer-group">
-              <h2 style={{ textAlign: "center" }}>Offers On Zomato</h2>
-              <div className="offer-grid">
-                {dZomato.map((w, i) => (
-                  <OfferCard key={`zo-${i}`} wrapper={w} />
-                ))}
-              </div>
-            </div>
-          )}
-
-          {!!dEatsure.length && (
-            <div className="offer-group">
-              <h2 style={{ textAlign: "center" }}>Offers On Eatsure</h2>
-              <div className="offer-grid">
-                {dEatsure.map((w, i) => (
-                  <OfferCard key={`es-${i}`} wrapper={w} />
-                ))}
-              </div>
-            </div>
-          )}
-
-          {!!dMagicPin.length && (
-            <div className="offer-group">
-              <h2 style={{ textAlign: "center" }}>Offers On MagicPin</h2>
-              <div className="offer-grid">
-                {dMagicPin.map((w, i) => (
-                  <OfferCard key={`mp-${i}`} wrapper={w} />
-                ))}
-              </div>
+          <details className="share-menu" onToggle={() => setShareNote("")}>
+            <summary>{t("share.menu")}</summary>
+            <div className="share-menu-items">
+              {typeof navigator.share === "function" && (
+                <button type="button" onClick={shareNative}>
+                  {t("share.native")}
+                </button>
+              )}
+              <a
+                href={`https://wa.me/?text=${encodeURIComponent(shareText())}`}
+                target="_blank"
+                rel="noopener noreferrer"
+              >
+                {t("share.whatsapp")}
+              </a>
+              <button type="button" onClick={copySummary}>
+                {t("share.copySummary")}
+              </button>
+              <button type="button" onClick={copyAllCodes}>
+                {t("share.copyCodes", { count: allCouponCodes(shownGroups).length })}
+              </button>
+              <button type="button" onClick={downloadImage}>
+                {t("share.image")}
+              </button>
+              <button type="button" onClick={() => window.print()}>
+                {t("share.print")}
+              </button>
+              <p className="share-note" role="status" aria-live="polite">
+                {shareNote}
+              </p>
             </div>
+          </details>
+          <div className="view-toggle" role="group" aria-label={t("view.label")}>
+            <button
+              type="button"
+              aria-pressed={resultsView === "grid"}
+              onClick={() => setResultsView("grid")}
+            >
+              {t("view.grid")}
+            </button>
+            <button
+              type="button"
+              aria-pressed={resultsView === "table"}
+              onClick={() => setResultsView("table")}
+            >
+              {t("view.table")}
+            </button>
+          </div>
+          {renderFilterBar()}
+          {filtersActive && !visibleCount && !hasPending ? (
+            <p className="filter-empty">{t("filters.noneMatch")}</p>
+          ) : resultsView === "table" ? (
+            renderComparisonTable()
+          ) : (
+            visibleGroups.map(renderOfferGroup)
           )}
         </div>
       )}
 
-      {selected && !hasAny && !noMatches && (
+      {selectedMethods.length > 0 && !hasAny && !hasPending && (
         <p style={{ color: "#d32f2f", textAlign: "center", marginTop: 10 }}>
-          No offer available for this card
+          {selectedMethods.length > 1
+            ? t("results.noneForMethods")
+            : t("results.noneForCard")}
         </p>
       )}
 
-      {selected && hasAny && !noMatches && (
+      {/* Coupons for everyone (no card needed) */}
+      {generalGroups.some((g) => g.list.length > 0) && (
+        <section
+          className="offers-section general-coupons"
+          style={{ maxWidth: 1200, margin: "0 auto", padding: 20 }}
+          aria-labelledby="general-coupons-title"
+        >
+          <h2 id="general-coupons-title" style={{ textAlign: "center" }}>
+            {t("general.title")}
+          </h2>
+          <p className="general-coupons-intro">{t("general.intro")}</p>
+          {generalGroups.map(({ platform, list }) =>
+            list.length ? (
+              <div key={platform.id} className="offer-group">
+                <h3 className="general-coupons-platform">
+                  {t("general.onPlatform", { platform: platform.name })}
+                </h3>
+                <div className="offer-grid">
+                  {list.map((w) => (
+                    <OfferCard key={offerKey(w.offer)} {...cardProps(w)} />
+                  ))}
+                </div>
+              </div>
+            ) : null
+          )}
+        </section>
+      )}
+
+      {selectedMethods.length > 0 && hasAny && (
         <button
+          className="scroll-down-btn"
           onClick={() =>
             window.scrollBy({ top: window.innerHeight, behavior: "smooth" })
           }
@@ -1228,7 +2745,7 @@ const AirlineOffers = () => {
             alignItems: "center",
           }}
         >
-          {isMobile ? "↓" : "Scroll Down"}
+          {isMobile ? "↓" : t("results.scrollDown")}
         </button>
       )}
 
@@ -0,0 +1,402 @@
+/** -------------------- OFFER EDITOR (#/editor) -------------------- */
+/* Admin page for maintaining the offer CSVs without a spreadsheet mangling the
+   quoting: edit cells, pick cards from allCards.csv, see problems and the rendered
+   OfferCard as you type, then download the CSV and a list of what changed. Loaded
+   on demand, so the offers page never downloads it. */
+
+import React, { useRef, useState } from "react";
+import PropTypes from "prop-types";
+import { LIST_FIELDS, cardKey, splitList } from "./offerData.js";
+import {
+  diffOfferRows,
+  formatOfferDiff,
+  lineOf,
+  missingColumns,
+  parseOfferCsv,
+  toOfferCsv,
+  validateOfferRows,
+} from "./offerEditor.js";
+import { downloadBlob } from "./offerShare.js";
+import { parseOfferRestrictions, parseOfferTerms, parseOfferValidity } from "./offerTerms.js";
+
+const CARD_PICKER_TYPES = ["credit", "debit"];
+
+/** Save text as a file */
+const downloadText = (fileName, text, type) =>
+  downloadBlob(fileName, new Blob([text], { type: `${type};charset=utf-8` }));
+
+/** Editor document from a public/ file name or a local File: {name, original, fields, rows} */
+async function readEditorFile(source, fetchCsvText) {
+  const isFile = typeof source !== "string";
+  const original = parseOfferCsv(isFile ? await source.text() : (await fetchCsvText(source)).text);
+  return { name: isFile ? source.name : source, original, fields: original.fields, rows: original.rows };
+}
+
+const OfferEditor = ({ platforms, cardNames, knownCards, fetchCsvText, renderPreview }) => {
+  const [doc, setDoc] = useState(null);
+  const [loadError, setLoadError] = useState("");
+  const [selectedId, setSelectedId] = useState(null);
+  const [rowFilter, setRowFilter] = useState("");
+  const [problemsOnly, setProblemsOnly] = useState(false);
+  const [showDiff, setShowDiff] = useState(false);
+  const [picked, setPicked] = useState({ credit: "", debit: "" }); // card picker inputs
+  const nextId = useRef(0);
+
+  const load = async (source) => {
+    setLoadError("");
+    try {
+      const next = await readEditorFile(source, fetchCsvText);
+      nextId.current = next.rows.length;
+      setDoc(next);
+      setSelectedId(null);
+      setShowDiff(false);
+    } catch (e) {
+      setLoadError(e.message);
+    }
+  };
+
+  const header = (
+    <header className="page-header">
+      <h1>Offer CSV editor</h1>
+      <a href="#">Back to offers</a>
+    </header>
+  );
+  const picker = (
+    <div className="editor-toolbar">
+      <label>
+        File{" "}
+        <select
+          value={doc && platforms.some((p) => p.csv === doc.name) ? doc.name : ""}
+          onChange={(e) => e.target.value && load(e.target.value)}
+        >
+          <option value="">Choose a CSV…</option>
+          {platforms.map((p) => (
+            <option key={p.id} value={p.csv}>
+              {p.csv}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        or open a local file{" "}
+        <input
+          type="file"
+          accept=".csv,text/csv"
+          onChange={(e) => e.target.files[0] && load(e.target.files[0])}
+        />
+      </label>
+    </div>
+  );
+
+  if (!doc) {
+    return (
+      <div className="offer-editor">
+        {header}
+        {picker}
+        {loadError && (
+          <p className="offer-load-error" role="alert">
+            {loadError}
+          </p>
+        )}
+      </div>
+    );
+  }
+
+  const { file: fileProblems, byRow } = validateOfferRows(doc.fields, doc.rows, knownCards);
+  const allProblems = [...fileProblems, ...[...byRow.values()].flat()];
+  const errorCount = allProblems.filter((p) => p.level === "error").length;
+  const warningCount = allProblems.length - errorCount;
+  const diff = diffOfferRows(doc.original, doc);
+  const changeCount = diff.columns.added.length + diff.columns.removed.length + diff.rows.length;
+  const platform = platforms.find((p) => p.csv === doc.name);
+
+  const q = rowFilter.trim().toLowerCase();
+  const visible = doc.rows
+    .map((row, i) => ({ row, line: lineOf(i) }))
+    .filter(
+      ({ row }) =>
+        (!problemsOnly || byRow.has(row.id)) &&
+        (!q || Object.values(row.cells).some((v) => String(v).toLowerCase().includes(q)))
+    );
+  const selected = doc.rows.find((r) => r.id === selectedId);
+
+  const updateRows = (fn) => setDoc((prev) => ({ ...prev, rows: fn(prev.rows) }));
+  const setCell = (id, column, value) =>
+    updateRows((rows) =>
+      rows.map((r) => (r.id === id ? { ...r, cells: { ...r.cells, [column]: value } } : r))
+    );
+  const addColumn = (column) =>
+    setDoc((prev) =>
+      prev.fields.includes(column) ? prev : { ...prev, fields: [...prev.fields, column] }
+    );
+  /** New empty row at the end, or a copy right below `source` */
+  const addRow = (source) => {
+    const row = { id: nextId.current++, cells: source ? { ...source.cells } : {} };
+    updateRows((rows) => {
+      const at = source ? rows.indexOf(source) + 1 : rows.length;
+      return [...rows.slice(0, at), row, ...rows.slice(at)];
+    });
+    setSelectedId(row.id);
+  };
+  const removeRow = (id) => {
+    updateRows((rows) => rows.filter((r) => r.id !== id));
+    if (id === selectedId) setSelectedId(null);
+  };
+
+  // card picker: credit / debit cells hold "; "-separated names from allCards.csv
+  const cardColumn = (type) =>
+    doc.fields.find((f) => LIST_FIELDS[type].includes(f)) || LIST_FIELDS[type][0];
+  const setCards = (row, type, names) => {
+    const column = cardColumn(type);
+    addColumn(column);
+    setCell(row.id, column, names.join("; "));
+  };
+  const addCard = (row, type) => {
+    const name = picked[type].trim();
+    if (!name) return;
+    const names = splitList(row.cells[cardColumn(type)]);
+    if (!names.some((n) => cardKey(n) === cardKey(name))) setCards(row, type, [...names, name]);
+    setPicked((prev) => ({ ...prev, [type]: "" }));
+  };
+
+  const exportCsv = () =>
+    downloadText(doc.name, toOfferCsv({ ...doc.original, fields: doc.fields, rows: doc.rows }), "text/csv");
+  const exportDiff = () =>
+    downloadText(`${doc.name}.changes.txt`, formatOfferDiff(doc.name, diff), "text/plain");
+
+  const levelOf = (problems, column) => {
+    const own = (problems || []).filter((p) => p.column === column);
+    if (own.some((p) => p.level === "error")) return "has-error";
+    return own.length ? "has-warning" : "";
+  };
+
+  return (
+    <div className="offer-editor">
+      {header}
+      {picker}
+      {loadError && (
+        <p className="offer-load-error" role="alert">
+          {loadError}
+        </p>
+      )}
+
+      <div className="editor-toolbar">
+        <strong>{doc.name}</strong>
+        <span>{doc.rows.length} rows</span>
+        <span className={`editor-count ${errorCount ? "has-error" : ""}`}>
+          {errorCount} error(s), {warningCount} warning(s)
+        </span>
+        <input
+          type="search"
+          className="editor-filter"
+          placeholder="Filter rows"
+          value={rowFilter}
+          onChange={(e) => setRowFilter(e.target.value)}
+        />
+        <label>
+          <input
+            type="checkbox"
+            checked={problemsOnly}
+            onChange={(e) => setProblemsOnly(e.target.checked)}
+          />{" "}
+          Only rows with problems
+        </label>
+        <button type="button" className="btn editor-btn" onClick={() => addRow(null)}>
+          Add row
+        </button>
+        <select value="" onChange={(e) => e.target.value && addColumn(e.target.value)}>
+          <option value="">Add column…</option>
+          {missingColumns(doc.fields).map((c) => (
+            <option key={c} value={c}>
+              {c}
+            </option>
+          ))}
+        </select>
+        <button type="button" className="btn editor-btn" onClick={() => setShowDiff((v) => !v)}>
+          Changes ({changeCount})
+        </button>
+        <button type="button" className="btn editor-btn" onClick={exportCsv}>
+          Download CSV
+        </button>
+      </div>
+
+      {doc.original.errors.length > 0 && (
+        <ul className="editor-problems">
+          {doc.original.errors.map((msg) => (
+            <li key={msg} className="has-error">
+              As loaded: {msg}
+            </li>
+          ))}
+        </ul>
+      )}
+      {fileProblems.length > 0 && (
+        <ul className="editor-problems">
+          {fileProblems.map((p) => (
+            <li key={p.message} className="has-error">
+              {p.message}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {showDiff && (
+        <section className="editor-diff" aria-label="Changes since the file was loaded">
+          <pre>{formatOfferDiff(doc.name, diff)}</pre>
+          <button type="button" className="btn editor-btn" onClick={exportDiff}>
+            Download changes
+          </button>
+        </section>
+      )}
+
+      <div className="editor-body">
+        <div className="editor-table-wrap">
+          <table className="editor-table">
+            <thead>
+              <tr>
+                <th scope="col">Line</th>
+                {doc.fields.map((f) => (
+                  <th key={f} scope="col">
+                    {f}
+                  </th>
+                ))}
+                <th scope="col">
+                  <span className="sr-only">Row actions</span>
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map(({ row, line }) => {
+                const problems = byRow.get(row.id);
+                return (
+                  <React.Fragment key={row.id}>
+                    <tr
+                      className={row.id === selectedId ? "is-selected" : ""}
+                      onFocus={() => setSelectedId(row.id)}
+                      onClick={() => setSelectedId(row.id)}
+                    >
+                      <th scope="row">{line}</th>
+                      {doc.fields.map((f) => {
+                        const props = {
+                          value: row.cells[f] ?? "",
+                          "aria-label": `${f}, line ${line}`,
+                          className: levelOf(problems, f),
+                          onChange: (e) => setCell(row.id, f, e.target.value),
+                        };
+                        return (
+                          <td key={f}>
+                            {LIST_FIELDS.desc.includes(f) ? (
+                              <textarea rows={3} {...props} />
+                            ) : (
+                              <input type="text" {...props} />
+                            )}
+                          </td>
+                        );
+                      })}
+                      <td className="editor-row-actions">
+                        <button type="button" onClick={() => addRow(row)}>
+                          Duplicate
+                        </button>
+                        <button type="button" onClick={() => removeRow(row.id)}>
+                          Delete
+                        </button>
+                      </td>
+                    </tr>
+                    {problems && (
+                      <tr className="editor-row-problems">
+                        <td />
+                        <td colSpan={doc.fields.length + 1}>
+                          {problems.map((p, i) => (
+                            <span key={i} className={p.level === "error" ? "has-error" : "has-warning"}>
+                              {p.message}
+                            </span>
+                          ))}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+          {!visible.length && <p className="whats-new-note">No rows match.</p>}
+        </div>
+
+        {selected && (
+          <aside className="editor-side" aria-label="Selected row">
+            <h2>Line {lineOf(doc.rows.indexOf(selected))}</h2>
+            {CARD_PICKER_TYPES.map((type) => {
+              const names = splitList(selected.cells[cardColumn(type)]);
+              return (
+                <div key={type} className="card-picker">
+                  <h3>{cardColumn(type)}</h3>
+                  <div className="card-picker-chips">
+                    {names.map((name) => (
+                      <span
+                        key={name}
+                        className={`method-chip ${knownCards.has(cardKey(name)) ? "" : "is-unknown"}`}
+                      >
+                        {name}
+                        <button
+                          type="button"
+                          className="method-chip-remove"
+                          aria-label={`Remove ${name}`}
+                          onClick={() => setCards(selected, type, names.filter((n) => n !== name))}
+                        >
+                          ×
+                        </button>
+                      </span>
+                    ))}
+                  </div>
+                  <input
+                    type="text"
+                    list={`editor-cards-${type}`}
+                    placeholder={`Add a ${type} card`}
+                    value={picked[type]}
+                    onChange={(e) => setPicked((prev) => ({ ...prev, [type]: e.target.value }))}
+                    onKeyDown={(e) => e.key === "Enter" && addCard(selected, type)}
+                  />
+                  <button type="button" onClick={() => addCard(selected, type)}>
+                    Add
+                  </button>
+                  <datalist id={`editor-cards-${type}`}>
+                    {cardNames[type].map((n) => (
+                      <option key={n} value={n} />
+                    ))}
+                  </datalist>
+                </div>
+              );
+            })}
+            <h3>Preview</h3>
+            <div className="editor-preview">
+              {renderPreview({
+                offer: selected.cells,
+                site: platform ? platform.name : doc.name,
+                platformId: platform ? platform.id : "",
+                variantText: "",
+                terms: parseOfferTerms(selected.cells),
+                restrictions: parseOfferRestrictions(selected.cells),
+                validity: parseOfferValidity(selected.cells),
+              })}
+            </div>
+          </aside>
+        )}
+      </div>
+    </div>
+  );
+};
+
+OfferEditor.propTypes = {
+  platforms: PropTypes.arrayOf(
+    PropTypes.shape({ id: PropTypes.string.isRequired, csv: PropTypes.string.isRequired })
+  ).isRequired,
+  // display names from allCards.csv, for the card picker
+  cardNames: PropTypes.shape({
+    credit: PropTypes.arrayOf(PropTypes.string).isRequired,
+    debit: PropTypes.arrayOf(PropTypes.string).isRequired,
+  }).isRequired,
+  knownCards: PropTypes.instanceOf(Set).isRequired, // cardKey()s of those names
+  fetchCsvText: PropTypes.func.isRequired,
+  renderPreview: PropTypes.func.isRequired, // OfferCard wrapper -> element
+};
+
+export default OfferEditor;
@@ -0,0 +1,166 @@
+/** -------------------- CARD SEARCH -------------------- */
+/* Ranking for the search dropdown, shared by the search worker and the main-thread
+   fallback. The index is built once per catalogue; each query then compares its words
+   against the (small) word vocabulary instead of every word of every card name, and
+   runs the whole-name Levenshtein only where it can still change the outcome. Results
+   are the same as scoring every name in full. */
+
+import { canonicalizeText, toNorm } from "./offerData.js";
+
+export const MAX_SUGGESTIONS = 50;
+
+const SECTION_TYPES = ["bank", "credit", "debit", "upi", "netbanking"];
+
+/** -------------------- SCORING -------------------- */
+/** Levenshtein distance (two rolling rows) */
+export function lev(a, b) {
+  a = toNorm(a);
+  b = toNorm(b);
+  const n = a.length,
+    m = b.length;
+  if (!n) return m;
+  if (!m) return n;
+  let prev = Array.from({ length: m + 1 }, (_, j) => j);
+  let cur = new Array(m + 1);
+  for (let i = 1; i <= n; i++) {
+    cur[0] = i;
+    for (let j = 1; j <= m; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+    }
+    [prev, cur] = [cur, prev];
+  }
+  return prev[m];
+}
+
+const similarity = (a, b) => 1 - lev(a, b) / Math.max(a.length, b.length);
+
+/** -------------------- INDEX -------------------- */
+/** Build once per catalogue: lists = { bank: [names], credit, debit, upi, netbanking } */
+export function buildSearchIndex(lists) {
+  const items = [];
+  const vocab = new Map(); // normalized word -> [item index]
+  for (const type of SECTION_TYPES) {
+    for (const display of (lists && lists[type]) || []) {
+      const id = items.length;
+      const norm = toNorm(display);
+      items.push({ type, display, label: display.toLowerCase(), norm });
+      for (const w of new Set(norm.split(" ").filter(Boolean))) {
+        if (!vocab.has(w)) vocab.set(w, []);
+        vocab.get(w).push(id);
+      }
+    }
+  }
+  return { items, vocab };
+}
+
+/** Per query word: items with a word containing it, items with a ≥70% similar word */
+function wordHits(index, qWords) {
+  const contains = qWords.map(() => new Set());
+  const similar = new Set();
+  for (const [w, ids] of index.vocab) {
+    qWords.forEach((qw, k) => {
+      if (w.includes(qw)) ids.forEach((id) => contains[k].add(id));
+      if (qw.length >= 3 && w.length >= 3 && similarity(qw, w) >= 0.7) {
+        ids.forEach((id) => similar.add(id));
+      }
+    });
+  }
+  return { contains, similar };
+}
+
+/** -------------------- QUERY -------------------- */
+/** Ranked dropdown sections for a query: [{ type, label, names }] (empty = no matches)
+ *  - exact substring (+2) and fuzzy (+1.5, e.g. "selct") matches boosted
+ *  - "Select" cards first when the query asks for them
+ *  - Banks first, then Debit before Credit if the query mentions dc/debit */
+export function searchCards(index, query) {
+  const trimmed = String(query || "").trim();
+  if (!trimmed || !index) return [];
+
+  const qLower = trimmed.toLowerCase();
+  // "sc digismart" -> "Standard Chartered DigiSmart" etc. (cardAliases.json)
+  const aliasQuery = canonicalizeText(trimmed);
+  const aliasLower = aliasQuery.toLowerCase();
+  const q = toNorm(aliasQuery);
+  if (!q) return [];
+  const qWords = q.split(" ").filter(Boolean);
+  const { contains, similar } = wordHits(index, qWords);
+
+  const byType = { bank: [], credit: [], debit: [], upi: [], netbanking: [] };
+  index.items.forEach((it, id) => {
+    const inc = it.label.includes(qLower) || it.label.includes(aliasLower);
+    const l = it.norm;
+    let s;
+    let fuzzy;
+    if (l.includes(q)) {
+      s = 100;
+      fuzzy = true;
+    } else {
+      const matching = contains.filter((set) => set.has(id)).length;
+      const wordFuzzy = similar.has(id);
+      const maxLen = Math.max(q.length, l.length);
+      // without any word hit only a ≥60% whole-name similarity can still match;
+      // the length difference alone rules most names out without a Levenshtein
+      if (!inc && !wordFuzzy && !matching && 1 - Math.abs(q.length - l.length) / maxLen < 0.6) {
+        return;
+      }
+      const sim = 1 - lev(q, l) / maxLen;
+      s = (matching / Math.max(1, qWords.length)) * 0.7 + sim * 0.3;
+      fuzzy = wordFuzzy || sim >= 0.6;
+    }
+
+    if (inc) s += 2.0;
+    if (fuzzy) s += 1.5;
+    if (inc || fuzzy || s > 0.3) byType[it.type].push({ it, s });
+  });
+
+  const ranked = (arr) =>
+    arr
+      .sort((a, b) => b.s - a.s || a.it.display.localeCompare(b.it.display))
+      .slice(0, MAX_SUGGESTIONS)
+      .map(({ it }) => it.display);
+
+  let cc = ranked(byType.credit);
+  let dc = ranked(byType.debit);
+  const upi = ranked(byType.upi);
+  const nb = ranked(byType.netbanking);
+  const banks = ranked(byType.bank);
+  if (!banks.length && !cc.length && !dc.length && !upi.length && !nb.length) return [];
+
+  /** --- SPECIAL CASE 1: "select credit card" / "selct" etc. → boost Select cards first --- */
+  const qNorm = toNorm(trimmed);
+  const hasSelectWord = qNorm
+    .split(" ")
+    .filter(Boolean)
+    .some((w) => w === "select" || similarity(w, "select") >= 0.7); // "selct", "selec", etc.
+
+  const isSelectIntent =
+    qNorm.includes("select credit card") || qNorm.includes("select card") || hasSelectWord;
+
+  if (isSelectIntent) {
+    const reorderBySelect = (arr) => [
+      ...arr.filter((name) => name.toLowerCase().includes("select")),
+      ...arr.filter((name) => !name.toLowerCase().includes("select")),
+    ];
+    cc = reorderBySelect(cc);
+    dc = reorderBySelect(dc);
+  }
+
+  /** --- SPECIAL CASE 2: if query hints debit/DC → show Debit section first
+   *  (issuer-level bank entries always lead: they cover credit and debit alike) --- */
+  const isDebitIntent =
+    qLower.includes("debit card") ||
+    qLower.includes("debit") ||
+    qLower === "dc" ||
+    qLower.startsWith("dc ") ||
+    qLower.endsWith(" dc") ||
+    qLower.includes(" dc ");
+
+  const order = isDebitIntent
+    ? [["bank", banks], ["debit", dc], ["credit", cc], ["upi", upi], ["netbanking", nb]]
+    : [["bank", banks], ["credit", cc], ["debit", dc], ["upi", upi], ["netbanking", nb]];
+  return order
+    .filter(([, names]) => names.length)
+    .map(([type, names]) => ({ type, names }));
+}
@@ -0,0 +1,17 @@
+/** -------------------- CARD SEARCH WORKER -------------------- */
+/* Keeps the search index off the main thread.
+   in:  { type: "index", lists }  — rebuild after the card lists change
+        { type: "query", id, query }
+   out: { id, sections }          — see searchCards() in cardSearch.js */
+
+import { buildSearchIndex, searchCards } from "./cardSearch.js";
+
+let index = null;
+
+self.onmessage = ({ data }) => {
+  if (data.type === "index") {
+    index = buildSearchIndex(data.lists);
+  } else if (data.type === "query") {
+    self.postMessage({ id: data.id, sections: searchCards(index, data.query) });
+  }
+};
@@ -0,0 +1,69 @@
+/** -------------------- DATA MANIFEST -------------------- */
+/* public/data-manifest.json records when each offer CSV last changed, written by
+   `npm run data:manifest`:
+     {generatedAt, history: [older manifest paths, newest first],
+      files: {"Zomato.csv": {updatedAt, hash, rows, offers: {keyHash: {title, coupon, hash}}}}}
+   keyHash is a short hash of the offer's offerKey, hash one of all its cells. */
+
+import { t } from "./i18n.js";
+
+export const DATA_MANIFEST_FILE = "data-manifest.json";
+export const DATA_HISTORY_DIR = "data-history";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Where the builder archives a manifest it replaces, and back */
+export const archivePath = (generatedAt) =>
+  `${DATA_HISTORY_DIR}/data-manifest-${generatedAt.replace(/[:.]/g, "-")}.json`;
+export function archiveDate(file) {
+  const m = /data-manifest-(\d{4}-\d\d-\d\d)T(\d\d)-(\d\d)-(\d\d)-(\d+)Z\.json$/.exec(file);
+  return m ? `${m[1]}T${m[2]}:${m[3]}:${m[4]}.${m[5]}Z` : null;
+}
+
+/** Whole days between an ISO time and now (0 = today) */
+export function daysSince(iso, now = new Date()) {
+  const then = new Date(iso);
+  if (Number.isNaN(then.getTime())) return null;
+  const startOf = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+  return Math.max(0, Math.round((startOf(now) - startOf(then)) / DAY_MS));
+}
+
+/** "updated today" / "updated yesterday" / "updated 12 days ago" */
+export function describeUpdated(iso, now) {
+  const days = daysSince(iso, now);
+  if (days === null) return "";
+  if (days === 0) return t("updated.today");
+  if (days === 1) return t("updated.yesterday");
+  return t("updated.daysAgo", { count: days });
+}
+
+/** Offers an older and a newer manifest disagree on, per file:
+ *  [{file, added, removed, edited: [{before, after}]}]. Offers match by offerKey; a
+ *  removed and an added offer with the same title and coupon count as edited terms. */
+export function diffManifests(older, newer) {
+  const before = (older && older.files) || {};
+  const after = (newer && newer.files) || {};
+  const files = [...new Set([...Object.keys(after), ...Object.keys(before)])];
+  const identity = (o) => `${o.title}||${o.coupon}`.toLowerCase();
+
+  return files
+    .map((file) => {
+      const was = (before[file] && before[file].offers) || {};
+      const now = (after[file] && after[file].offers) || {};
+      const edited = [];
+      const removed = [];
+      const added = [];
+      for (const [key, o] of Object.entries(was)) {
+        if (!now[key]) removed.push(o);
+        else if (now[key].hash !== o.hash) edited.push({ before: o, after: now[key] });
+      }
+      for (const [key, o] of Object.entries(now)) {
+        if (was[key]) continue;
+        const i = o.title || o.coupon ? removed.findIndex((r) => identity(r) === identity(o)) : -1;
+        if (i >= 0) edited.push({ before: removed.splice(i, 1)[0], after: o });
+        else added.push(o);
+      }
+      return { file, added, removed, edited };
+    })
+    .filter((d) => d.added.length || d.removed.length || d.edited.length);
+}
@@ -0,0 +1,86 @@
+/** -------------------- I18N -------------------- */
+/* UI strings per language from src/locales/*.json, plus number, rupee and date
+   formatting for the active locale. Offer text from the CSVs is shown as written;
+   only the chrome around it and the badges generated from it are translated. The
+   language is module state so the pure helpers (offerTerms.js, offerShare.js) can
+   follow it; the app re-renders after calling setLanguage. */
+
+import bn from "./locales/bn.json" with { type: "json" };
+import en from "./locales/en.json" with { type: "json" };
+import hi from "./locales/hi.json" with { type: "json" };
+import ta from "./locales/ta.json" with { type: "json" };
+
+/** Languages offered in the switcher, labelled in their own script */
+export const LANGUAGES = [
+  { code: "en", label: "English", locale: "en-IN" },
+  { code: "hi", label: "हिन्दी", locale: "hi-IN" },
+  { code: "ta", label: "தமிழ்", locale: "ta-IN" },
+  { code: "bn", label: "বাংলা", locale: "bn-IN" },
+];
+
+const CATALOGUES = { en, hi, ta, bn };
+export const DEFAULT_LANGUAGE = "en";
+
+let current = DEFAULT_LANGUAGE;
+
+export const isLanguage = (code) => Object.hasOwn(CATALOGUES, code);
+
+/** Switch the active language (unknown codes fall back to English); returns the code used */
+export function setLanguage(code) {
+  current = isLanguage(code) ? code : DEFAULT_LANGUAGE;
+  return current;
+}
+
+export const getLanguage = () => current;
+export const getLocale = () => LANGUAGES.find((l) => l.code === current).locale;
+
+/** First supported language among the browser's preferences, else English */
+export function guessLanguage(preferred = []) {
+  const hit = preferred.map((p) => String(p).slice(0, 2).toLowerCase()).find(isLanguage);
+  return hit || DEFAULT_LANGUAGE;
+}
+
+/** -------------------- FORMATTING -------------------- */
+const formatters = new Map(); // "locale|options" -> Intl.NumberFormat
+
+export function formatNumber(n, options = {}) {
+  const locale = getLocale();
+  const key = `${locale}|${JSON.stringify(options)}`;
+  if (!formatters.has(key)) formatters.set(key, new Intl.NumberFormat(locale, options));
+  return formatters.get(key).format(n);
+}
+
+/** Whole rupees with the locale's grouping: "₹1,20,000" */
+export const formatCurrency = (n) =>
+  formatNumber(Math.round(Number(n) || 0), {
+    style: "currency",
+    currency: "INR",
+    maximumFractionDigits: 0,
+  });
+
+export const formatPercent = (n) =>
+  formatNumber((Number(n) || 0) / 100, { style: "percent", maximumFractionDigits: 2 });
+
+export const formatDate = (date, options) => date.toLocaleDateString(getLocale(), options);
+export const formatDateTime = (date, options) => date.toLocaleString(getLocale(), options);
+
+/** -------------------- MESSAGES -------------------- */
+/** Message for `key` with {name} placeholders filled in (numbers in the locale's
+ *  digits). A numeric `count` picks a plural form: `key_one` / `key_other` (or an
+ *  exact `key_2`) when the catalogue has them. Missing keys fall back to English. */
+export function t(key, vars = {}) {
+  const messages = CATALOGUES[current];
+  const lookup = (k) => messages[k] ?? en[k];
+  let template;
+  if (typeof vars.count === "number") {
+    const plural = new Intl.PluralRules(getLocale()).select(vars.count);
+    template = lookup(`${key}_${vars.count}`) ?? lookup(`${key}_${plural}`) ?? lookup(`${key}_other`);
+  }
+  template = template ?? lookup(key);
+  if (template === undefined) return key;
+  return template.replace(/\{(\w+)\}/g, (whole, name) => {
+    if (!(name in vars)) return whole;
+    const value = vars[name];
+    return typeof value === "number" ? formatNumber(value) : String(value);
+  });
+}
@@ -7,4 +7,13 @@ createRoot(document.getElementById('root')).render(
   <StrictMode>
     <App />
   </StrictMode>,
-)
\ No newline at end of file
+)
+
+// offline support (public/sw.js); dev keeps hitting the network so edits show up
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((e) => {
+      console.warn('Service worker registration failed:', e)
+    })
+  })
+}
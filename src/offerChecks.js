@@ -0,0 +1,99 @@
+/** -------------------- OFFER ROW CHECKS -------------------- */
+/* The rules a row of an offer CSV has to pass, shared by the data validator
+   (npm run validate:data) and the in-browser offer editor so both flag the same
+   things. Problems are {level: "error" | "warning", column, message}. */
+
+import {
+  EXTRA_COLUMNS,
+  LIST_FIELDS,
+  cardKey,
+  firstField,
+  getBase,
+  splitList,
+} from "./offerData.js";
+import { parseOfferDate } from "./offerTerms.js";
+
+export const KNOWN_COLUMNS = new Set([...Object.values(LIST_FIELDS).flat(), ...EXTRA_COLUMNS]);
+export const LINK_COLUMNS = [...LIST_FIELDS.link, ...LIST_FIELDS.image, "Images"];
+/** What the app reads from allCards.csv: just the card (and UPI / net banking) lists */
+export const CARD_LIST_COLUMNS = new Set(
+  ["credit", "debit", "upi", "netbanking"].flatMap((type) => LIST_FIELDS[type])
+);
+
+export function isWellFormedUrl(val) {
+  try {
+    const u = new URL(String(val).trim());
+    return (u.protocol === "http:" || u.protocol === "https:") && u.hostname.includes(".");
+  } catch {
+    return false;
+  }
+}
+
+/** Header columns the app does not read (from an offer CSV, unless told otherwise) */
+export function unknownColumns(fields, known = KNOWN_COLUMNS) {
+  return (fields || []).filter((col) => !known.has(col));
+}
+
+/** Raw credit + debit card names of a row */
+export function rowCardNames(row) {
+  return [
+    ...splitList(firstField(row, LIST_FIELDS.credit)),
+    ...splitList(firstField(row, LIST_FIELDS.debit)),
+  ];
+}
+
+/** cardKeys of every card in allCards.csv rows */
+export function knownCardKeys(rows) {
+  const cards = new Set();
+  for (const row of rows) {
+    for (const raw of rowCardNames(row)) {
+      const key = cardKey(raw);
+      if (key) cards.add(key);
+    }
+  }
+  return cards;
+}
+
+/** Trimmed cell values, to spot rows that repeat an earlier one */
+export const rowSignature = (row) =>
+  JSON.stringify(Object.values(row).map((v) => String(v ?? "").trim()));
+
+/** Problems with one row; card names missing from knownCards (if given) are warnings
+ *  carrying the unmatched `card` */
+export function checkOfferRow(row, knownCards) {
+  const problems = [];
+  const report = (level, column, message, extra) =>
+    problems.push({ level, column, message, ...extra });
+
+  for (const col of LINK_COLUMNS) {
+    const val = row[col];
+    if (val && String(val).trim() && !isWellFormedUrl(val)) {
+      report("error", col, `malformed ${col} "${String(val).trim()}"`);
+    }
+  }
+
+  const fromCol = LIST_FIELDS.validFrom.find((c) => String(row[c] ?? "").trim());
+  const tillCol = LIST_FIELDS.validTill.find((c) => String(row[c] ?? "").trim());
+  const fromCell = firstField(row, LIST_FIELDS.validFrom);
+  const tillCell = firstField(row, LIST_FIELDS.validTill);
+  const from = parseOfferDate(fromCell);
+  const till = parseOfferDate(tillCell);
+  if (fromCell && !from) report("error", fromCol, `unreadable start date "${fromCell}"`);
+  if (tillCell && !till) report("error", tillCol, `unreadable end date "${tillCell}"`);
+  if (from && till && from > till) report("error", tillCol, "ends before it starts");
+
+  if (knownCards) {
+    for (const raw of rowCardNames(row)) {
+      const key = cardKey(raw);
+      if (key && !knownCards.has(key)) {
+        const column =
+          LIST_FIELDS.credit.find((c) => splitList(row[c]).includes(raw)) ||
+          LIST_FIELDS.debit.find((c) => splitList(row[c]).includes(raw));
+        report("warning", column, `card "${getBase(raw)}" does not match any allCards.csv entry`, {
+          card: getBase(raw),
+        });
+      }
+    }
+  }
+  return problems;
+}
@@ -0,0 +1,371 @@
+/** -------------------- OFFER DATA -------------------- */
+/* CSV column names and the card-name normalisation shared by the app and the
+   Node scripts in scripts/ (so this file must stay free of JSX/browser APIs). */
+
+import CARD_ALIASES from "./cardAliases.json" with { type: "json" };
+
+export const LIST_FIELDS = {
+  credit: ["Eligible Credit Cards", "Eligible Cards"],
+  debit: ["Eligible Debit Cards", "Applicable Debit Cards"],
+  upi: ["UPI", "Eligible UPI", "UPI Options"],
+  netbanking: ["Net Banking", "NetBanking", "Net Banking Options", "NetBanking Options"],
+  title: ["Offer Title", "Title"],
+  image: ["Image", "Credit Card Image", "Offer Image", "image", "Image URL"],
+  link: ["Link", "Offer Link"],
+  desc: ["Description", "Details", "Offer Description", "Flight Benefit"],
+  validFrom: ["Valid From", "Start Date", "Offer Start Date"],
+  validTill: ["Valid Till", "Valid Until", "Valid To", "End Date", "Expiry Date"],
+};
+
+/** Platforms manifest in public/: [{id, name, csv, logo, variantNote, order}] */
+export const PLATFORMS_FILE = "platforms.json";
+
+/**
+ * Validate + normalise the manifest: drops entries without id/name/csv,
+ * fills defaults and sorts by `order`. Returns { platforms, problems }.
+ */
+export function normalizePlatforms(json) {
+  const problems = [];
+  if (!Array.isArray(json)) {
+    return { platforms: [], problems: [`${PLATFORMS_FILE} must be a JSON array`] };
+  }
+
+  const seenIds = new Set();
+  const platforms = [];
+  json.forEach((p, i) => {
+    const id = String(p?.id || "").trim().toLowerCase();
+    const name = String(p?.name || "").trim();
+    const csv = String(p?.csv || "").trim();
+    if (!id || !name || !csv) {
+      problems.push(`entry ${i + 1} needs "id", "name" and "csv"`);
+      return;
+    }
+    if (seenIds.has(id)) {
+      problems.push(`duplicate platform id "${id}"`);
+      return;
+    }
+    seenIds.add(id);
+    platforms.push({
+      id,
+      name,
+      csv,
+      logo: String(p.logo || "").trim(),
+      variantNote: p.variantNote === true,
+      order: Number.isFinite(Number(p.order)) ? Number(p.order) : platforms.length + 1,
+    });
+  });
+
+  platforms.sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+  return { platforms, problems };
+}
+
+/** Columns OfferCard / loaders read directly (besides LIST_FIELDS) */
+export const EXTRA_COLUMNS = [
+  "Offer",
+  "Coupon Code",
+  "Coupon",
+  "Code",
+  "Images",
+  "Website",
+  "Non-Payments-Offers",
+  "Stackable",
+];
+
+/** -------------------- HELPERS -------------------- */
+export const toNorm = (s) =>
+  String(s || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^\w\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+export function firstField(obj, keys) {
+  for (const k of keys) {
+    if (
+      obj &&
+      Object.prototype.hasOwnProperty.call(obj, k) &&
+      obj[k] !== undefined &&
+      obj[k] !== null &&
+      String(obj[k]).trim() !== ""
+    ) {
+      return obj[k];
+    }
+  }
+  return undefined;
+}
+
+/** case-insensitive find for keys that CONTAIN a substring */
+export function firstFieldByContains(obj, substr) {
+  if (!obj) return undefined;
+  const target = String(substr).toLowerCase();
+  for (const k of Object.keys(obj)) {
+    if (String(k).toLowerCase().includes(target)) {
+      const v = obj[k];
+      if (v !== undefined && v !== null && String(v).trim() !== "") return v;
+    }
+  }
+  return undefined;
+}
+
+/** return all entries where predicate(key) is true */
+export function entriesWhereKey(obj, predicate) {
+  if (!obj) return [];
+  const out = [];
+  for (const k of Object.keys(obj)) {
+    if (predicate(String(k))) {
+      const v = obj[k];
+      if (v !== undefined && v !== null && String(v).trim() !== "") {
+        out.push({ key: k, value: v });
+      }
+    }
+  }
+  return out;
+}
+
+/** split across many separators */
+export function splitList(val) {
+  if (!val) return [];
+  return String(val)
+    .split(/,|\/|;|\||\n|\r|\t|\band\b|\bAND\b|•/g)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+/** Strip trailing parentheses */
+export function getBase(name) {
+  if (!name) return "";
+  return String(name).replace(/\s*\([^)]*\)\s*$/, "").trim();
+}
+
+/** Variant if present at end-in-parens */
+export function getVariant(name) {
+  if (!name) return "";
+  const m = String(name).match(/\(([^)]+)\)\s*$/);
+  return m ? m[1].trim() : "";
+}
+
+/** -------------------- CARD ALIASES -------------------- */
+/* cardAliases.json maps alternate spellings, abbreviations and word orders to
+   one canonical card identity:
+   - casing:      preferred capitalisation of brand words (matched case-insensitively)
+   - spellings:   canonical phrase -> alternate spellings / abbreviations
+   - ignoreInKey: words that never tell two cards apart ("Bank")
+   - cards:       canonical card name -> whole-name aliases
+   - banks:       issuing bank -> words that identify it inside a card name (first listed wins)
+   Word order never matters: "Swiggy HDFC" and "HDFC Swiggy" share one key. */
+
+const escapeRegExp = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const phraseRule = (variant, canonical) => ({
+  re: new RegExp(`(?<!\\w)${escapeRegExp(variant)}(?!\\w)`, "gi"),
+  to: canonical,
+  len: variant.length,
+});
+
+// longest phrases first so "Stan Chart" is rewritten before shorter rules run
+const SPELLING_RULES = [
+  ...Object.entries(CARD_ALIASES.spellings || {}).flatMap(([canonical, variants]) =>
+    variants.map((v) => phraseRule(v, canonical))
+  ),
+  ...(CARD_ALIASES.casing || []).map((c) => phraseRule(c, c)),
+].sort((a, b) => b.len - a.len);
+
+const KEY_IGNORE = new Set((CARD_ALIASES.ignoreInKey || []).map(toNorm));
+
+/** Apply the spelling/casing rules to free text (card cells, search queries) */
+export function canonicalizeText(text) {
+  let s = String(text || "").replace(/\s+/g, " ").trim();
+  for (const { re, to } of SPELLING_RULES) s = s.replace(re, to);
+  return s;
+}
+
+/** Order-insensitive identity of an already canonicalized name */
+const keyOf = (name) =>
+  toNorm(name)
+    .split(" ")
+    .filter((w) => w && !KEY_IGNORE.has(w))
+    .sort()
+    .join(" ");
+
+const CARD_BY_ALIAS_KEY = new Map();
+for (const [canonical, aliases] of Object.entries(CARD_ALIASES.cards || {})) {
+  for (const alias of aliases) {
+    CARD_BY_ALIAS_KEY.set(keyOf(canonicalizeText(alias)), canonicalizeText(canonical));
+  }
+}
+
+// the same few thousand cells are canonicalized on every match, so remember them
+const canonicalMemo = new Map();
+
+/** Canonical display name for a raw card cell (trailing "(variant)" stripped) */
+export function canonicalCardName(raw) {
+  const cell = String(raw ?? "");
+  if (!canonicalMemo.has(cell)) {
+    const name = canonicalizeText(getBase(cell));
+    canonicalMemo.set(cell, CARD_BY_ALIAS_KEY.get(keyOf(name)) || name);
+  }
+  return canonicalMemo.get(cell);
+}
+
+/** Canonical identity used to compare card names across CSVs */
+export function cardKey(raw) {
+  return keyOf(canonicalCardName(raw));
+}
+
+// banks are tried in file order and the first one named wins, so list card
+// issuers before partner banks ("UCO Bank SBI Card" is an SBI card)
+const BANK_RULES = Object.entries(CARD_ALIASES.banks || {}).map(([bank, words]) => ({
+  bank,
+  res: words.map((w) => new RegExp(`(?<!\\w)${escapeRegExp(w)}(?!\\w)`, "i")),
+}));
+
+/** Issuing bank from cardAliases.json named in a card / UPI / net-banking name, or "" */
+export function issuerOf(raw) {
+  const name = canonicalCardName(raw);
+  const hit = BANK_RULES.find(({ res }) => res.some((re) => re.test(name)));
+  return hit ? hit.bank : "";
+}
+
+/** Issuing bank of a name; falls back to its first word */
+export function bankOf(raw) {
+  return issuerOf(raw) || canonicalCardName(raw).split(" ")[0] || "Other";
+}
+
+export function normalizeUrl(u) {
+  if (!u) return "";
+  let s = String(u).trim().toLowerCase();
+  s = s.replace(/^https?:\/\//, "").replace(/^www\./, "");
+  if (s.endsWith("/")) s = s.slice(0, -1);
+  return s;
+}
+export function normalizeText(s) {
+  return toNorm(s || "");
+}
+/** Rows flagged `Non-Payments-Offers = YES` are coupons anyone can use, no card needed */
+export function isNonPaymentOffer(offer) {
+  return /^(yes|y|true|1)$/i.test(String((offer || {})["Non-Payments-Offers"] || "").trim());
+}
+
+/** Display title of an offer row */
+export function offerTitle(offer) {
+  const o = offer || {};
+  return o["Offer"] || firstField(o, LIST_FIELDS.title) || o.Website || "Offer";
+}
+
+/** Coupon code of an offer row ("" when it needs none) */
+export function couponCode(offer) {
+  const o = offer || {};
+  return String(o["Coupon Code"] || o["Coupon"] || o["Code"] || "").trim();
+}
+export function offerKey(offer) {
+  const imgGuess =
+    firstField(offer, LIST_FIELDS.image) || firstFieldByContains(offer, "image");
+  const image = normalizeUrl(imgGuess || "");
+  const title = normalizeText(
+    firstField(offer, LIST_FIELDS.title) || offer.Website || ""
+  );
+  const desc = normalizeText(firstField(offer, LIST_FIELDS.desc) || "");
+  const link = normalizeUrl(firstField(offer, LIST_FIELDS.link) || "");
+  return `${title}||${desc}||${image}||${link}`;
+}
+
+export function dedupWrappers(arr, seen) {
+  const out = [];
+  for (const w of arr || []) {
+    const k = offerKey(w.offer);
+    if (seen.has(k)) continue;
+    seen.add(k);
+    out.push(w);
+  }
+  return out;
+}
+
+/** -------------------- OFFER GROUPING -------------------- */
+/* Sheets often repeat one offer per eligible card ("20% off using Bandhan Bank Debit
+   Cards" once for each Bandhan card). Rows sharing coupon code, title, description and
+   validity dates are merged into one logical offer whose card columns list every
+   eligible card. */
+
+const INSTRUMENT_TYPES = ["credit", "debit", "upi", "netbanking"];
+const INSTRUMENT_COLUMNS = new Set(INSTRUMENT_TYPES.flatMap((t) => LIST_FIELDS[t]));
+
+// "Credit Card Image" names a card but holds a URL: known non-card columns never merge
+const OTHER_COLUMNS = new Set([
+  ...Object.entries(LIST_FIELDS)
+    .filter(([type]) => !INSTRUMENT_TYPES.includes(type))
+    .flatMap(([, cols]) => cols),
+  ...EXTRA_COLUMNS,
+]);
+
+const isInstrumentColumn = (col) =>
+  INSTRUMENT_COLUMNS.has(col) ||
+  (!OTHER_COLUMNS.has(col) && !/\b(?:image|link|url)\b/i.test(col) && /\bcards?\b/i.test(col));
+
+/** Identity of a logical offer: coupon code + title + description + validity dates */
+export function offerGroupKey(offer) {
+  return [
+    couponCode(offer),
+    offerTitle(offer),
+    firstField(offer, LIST_FIELDS.desc) || "",
+    firstField(offer, LIST_FIELDS.validFrom) || "",
+    firstField(offer, LIST_FIELDS.validTill) || "",
+  ]
+    .map(normalizeText)
+    .join("||");
+}
+
+/** Merge per-card duplicate rows; card cells are joined (each kept whole, so
+ *  "Card (Visa)" variants survive), other cells keep the first non-empty value */
+export function groupOfferRows(rows) {
+  const groups = new Map(); // group key -> { row, cells: {column -> Set of cell texts} }
+  for (const row of rows || []) {
+    const k = offerGroupKey(row);
+    if (!groups.has(k)) groups.set(k, { row: { ...row }, cells: {} });
+    const g = groups.get(k);
+    for (const [col, val] of Object.entries(row)) {
+      const text = String(val ?? "").trim();
+      if (!text) continue;
+      if (isInstrumentColumn(col)) {
+        if (!g.cells[col]) g.cells[col] = new Set();
+        g.cells[col].add(text);
+      } else if (!String(g.row[col] ?? "").trim()) {
+        g.row[col] = val;
+      }
+    }
+  }
+  return Array.from(groups.values(), ({ row, cells }) => {
+    for (const [col, set] of Object.entries(cells)) row[col] = Array.from(set).join("; ");
+    return row;
+  });
+}
+
+/** `fn(row)` worked out once per offer row: Papa rows never change after load, so the
+ *  result is kept against the row object. Anything that is not a row gets `empty()`. */
+export function memoByRow(fn, empty) {
+  const cache = new WeakMap();
+  return (offer) => {
+    if (!offer || typeof offer !== "object") return empty();
+    if (!cache.has(offer)) cache.set(offer, fn(offer));
+    return cache.get(offer);
+  };
+}
+
+/** Every card / UPI / net-banking option an offer row names: [{type, name, variant, key}] */
+export const offerInstruments = memoByRow((offer) => {
+  const out = [];
+  const seen = new Set();
+  for (const type of INSTRUMENT_TYPES) {
+    for (const col of LIST_FIELDS[type]) {
+      for (const raw of splitList(offer[col])) {
+        const key = cardKey(raw);
+        const variant = getVariant(raw);
+        const id = `${type}:${key}:${toNorm(variant)}`;
+        if (!key || seen.has(id)) continue;
+        seen.add(id);
+        out.push({ type, name: canonicalCardName(raw), variant, key });
+      }
+    }
+  }
+  return out;
+}, () => []);
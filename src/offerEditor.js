@@ -0,0 +1,114 @@
+/** -------------------- OFFER EDITOR DATA -------------------- */
+/* Parsing, export and diffing for the in-browser offer CSV editor (#/editor).
+   Rows carry a stable id so edits, inserts and deletes can be diffed against the
+   file as loaded: {id, cells: {column: value}}. */
+
+import Papa from "papaparse";
+import { KNOWN_COLUMNS, checkOfferRow, rowSignature, unknownColumns } from "./offerChecks.js";
+
+/** Header is line 1, so row i sits on line i + 2 (ignoring multi-line cells) */
+export const lineOf = (index) => index + 2;
+
+/** {fields, rows, linebreak, trailingNewline, errors} from CSV text */
+export function parseOfferCsv(text) {
+  const parsed = Papa.parse(String(text || ""), { header: true, skipEmptyLines: true });
+  const fields = (parsed.meta.fields || []).filter(Boolean);
+  return {
+    fields,
+    rows: parsed.data.map((cells, id) => ({
+      id,
+      cells: Object.fromEntries(fields.map((f) => [f, cells[f] ?? ""])),
+    })),
+    linebreak: parsed.meta.linebreak || "\n",
+    trailingNewline: /\r?\n$/.test(text),
+    errors: (parsed.errors || []).map((err) =>
+      Number.isInteger(err.row) ? `line ${lineOf(err.row)}: ${err.message}` : err.message
+    ),
+  };
+}
+
+/** Known columns not in the file yet, in LIST_FIELDS / EXTRA_COLUMNS order */
+export const missingColumns = (fields) => [...KNOWN_COLUMNS].filter((c) => !fields.includes(c));
+
+/** CSV text; Papa quotes every cell holding a comma, quote, line break or edge space */
+export function toOfferCsv({ fields, rows, linebreak = "\n", trailingNewline = true }) {
+  const csv = Papa.unparse(
+    { fields, data: rows.map((r) => fields.map((f) => r.cells[f] ?? "")) },
+    { newline: linebreak }
+  );
+  return trailingNewline ? csv + linebreak : csv;
+}
+
+/** Problems per row id plus file-level ones: {file: [..], byRow: Map(id -> [..])} */
+export function validateOfferRows(fields, rows, knownCards) {
+  const file = unknownColumns(fields).map((col) => ({
+    level: "error",
+    column: col,
+    message: `unknown column "${col}"`,
+  }));
+  const byRow = new Map();
+  const firstLine = new Map(); // signature -> line of its first row
+  rows.forEach((row, i) => {
+    const problems = checkOfferRow(row.cells, knownCards);
+    const signature = rowSignature(row.cells);
+    if (firstLine.has(signature)) {
+      problems.unshift({ level: "error", message: `duplicate of line ${firstLine.get(signature)}` });
+    } else {
+      firstLine.set(signature, lineOf(i));
+    }
+    if (problems.length) byRow.set(row.id, problems);
+  });
+  return { file, byRow };
+}
+
+/** What changed since the file was loaded:
+ *  {columns: {added, removed}, rows: [{kind: "added" | "removed" | "changed", line, cells, changes}]} */
+export function diffOfferRows(original, current) {
+  const columns = {
+    added: current.fields.filter((f) => !original.fields.includes(f)),
+    removed: original.fields.filter((f) => !current.fields.includes(f)),
+  };
+  const allFields = [...new Set([...original.fields, ...current.fields])];
+  const now = new Map(current.rows.map((r, i) => [r.id, { row: r, line: lineOf(i) }]));
+  const before = new Set(original.rows.map((r) => r.id));
+  const rows = [];
+
+  original.rows.forEach((r, i) => {
+    const hit = now.get(r.id);
+    if (!hit) {
+      rows.push({ kind: "removed", line: lineOf(i), cells: r.cells, changes: [] });
+      return;
+    }
+    const changes = allFields
+      .map((f) => ({ column: f, from: r.cells[f] ?? "", to: hit.row.cells[f] ?? "" }))
+      .filter((c) => c.from !== c.to);
+    if (changes.length) rows.push({ kind: "changed", line: hit.line, cells: hit.row.cells, changes });
+  });
+  current.rows.forEach((r, i) => {
+    if (!before.has(r.id)) rows.push({ kind: "added", line: lineOf(i), cells: r.cells, changes: [] });
+  });
+  return { columns, rows };
+}
+
+const clip = (s, n = 80) => {
+  const text = String(s).replace(/\s+/g, " ").trim();
+  return text.length > n ? `${text.slice(0, n - 1)}…` : text;
+};
+
+/** Plain-text change log for a diff, one line per change */
+export function formatOfferDiff(fileName, diff) {
+  const out = [`--- ${fileName} (as loaded)`, `+++ ${fileName} (edited)`];
+  diff.columns.added.forEach((c) => out.push(`+ column "${c}"`));
+  diff.columns.removed.forEach((c) => out.push(`- column "${c}"`));
+  for (const r of diff.rows) {
+    const summary = clip(Object.values(r.cells).filter(Boolean).join(" | "));
+    if (r.kind === "added") out.push(`+ line ${r.line}: ${summary}`);
+    else if (r.kind === "removed") out.push(`- line ${r.line}: ${summary}`);
+    else {
+      out.push(`~ line ${r.line}:`);
+      r.changes.forEach((c) => out.push(`    ${c.column}: "${clip(c.from)}" → "${clip(c.to)}"`));
+    }
+  }
+  if (out.length === 2) out.push("(no changes)");
+  return out.join("\n");
+}
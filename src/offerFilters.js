@@ -0,0 +1,72 @@
+/** -------------------- RESULT FILTERS -------------------- */
+/* Narrowing and ordering the matched offers shown for the selected instruments.
+   Works on the results section's [{platform, list}] groups, list holding OfferCard
+   wrappers (terms, savings, platformId). Filters never reorder; sorts are stable,
+   so offers that tie keep the ranking they arrived with. */
+
+import { couponCode } from "./offerData.js";
+
+export const DEFAULT_OFFER_FILTERS = {
+  hiddenPlatforms: [], // platform ids unticked in the bar; new platforms show up by default
+  benefit: "any", // "any" | "instant" | "cashback" (any kind), or one payout: "bank" | "wallet" | "rewards"
+  hasCoupon: false,
+  maxMinOrder: "", // hide offers whose minimum order is above this (₹, "" = no ceiling)
+  hideIneligible: false, // hide offers the entered cart value does not reach
+};
+
+export const OFFER_SORTS = ["relevance", "maxDiscount", "percent", "minOrder", "platform"];
+
+/** True when any filter differs from the defaults */
+export function isFiltering(filters) {
+  return Object.keys(DEFAULT_OFFER_FILTERS).some(
+    (k) => JSON.stringify(filters[k]) !== JSON.stringify(DEFAULT_OFFER_FILTERS[k])
+  );
+}
+
+/** Most an offer can take off: its cap, else a flat amount; null when the terms don't say */
+export function maxDiscountOf(terms) {
+  if (!terms) return null;
+  if (terms.cap) return terms.cap;
+  if (terms.kind === "flat" && terms.flat) return terms.flat;
+  return null;
+}
+
+/** Does one wrapper pass the filters? */
+export function passesFilters(w, filters) {
+  const f = filters || DEFAULT_OFFER_FILTERS;
+  const terms = w.terms || {};
+  if (f.hiddenPlatforms.includes(w.platformId)) return false;
+  if (f.benefit !== "any" && terms.benefit !== f.benefit && terms.payout !== f.benefit) return false;
+  if (f.hasCoupon && !couponCode(w.offer).trim()) return false;
+  const ceiling = Number(f.maxMinOrder);
+  if (f.maxMinOrder !== "" && ceiling >= 0 && (terms.minOrder || 0) > ceiling) return false;
+  if (f.hideIneligible && w.savings && !w.savings.eligible) return false;
+  return true;
+}
+
+// unknown values always sort after known ones, whichever direction
+const byValue = (value, direction) => (a, b) => {
+  const va = value(a);
+  const vb = value(b);
+  if (va === null || vb === null) return (va === null) - (vb === null);
+  return direction * (va - vb);
+};
+
+const OFFER_COMPARATORS = {
+  maxDiscount: byValue((w) => maxDiscountOf(w.terms), -1),
+  percent: byValue((w) => (w.terms?.kind === "percent" ? w.terms.percent : null), -1),
+  minOrder: byValue((w) => w.terms?.minOrder || 0, 1),
+};
+
+/** Groups with the filters applied and each list (and, for "platform", the groups) sorted;
+ *  unticked platforms are dropped whole, loading and failed ones included */
+export function applyOfferFilters(groups, filters, sort = "relevance") {
+  const compare = OFFER_COMPARATORS[sort];
+  const shown = groups.filter((g) => !filters.hiddenPlatforms.includes(g.platform.id));
+  const out = shown.map((g) => {
+    const list = g.list.filter((w) => passesFilters(w, filters));
+    return { ...g, list: compare ? list.sort(compare) : list };
+  });
+  if (sort === "platform") out.sort((a, b) => a.platform.name.localeCompare(b.platform.name));
+  return out;
+}
@@ -0,0 +1,239 @@
+/** -------------------- SHARING -------------------- */
+/* Plain-text and image versions of the matched offers for group chats. Groups are
+   the results section's [{platform, list}], list holding OfferCard wrappers. */
+
+import { t } from "./i18n.js";
+import { LIST_FIELDS, couponCode, firstField, offerTitle } from "./offerData.js";
+import {
+  describeDiscount,
+  describeSavings,
+  formatRupees,
+  payoutLabel,
+  restrictionBadges,
+  validityBadge,
+} from "./offerTerms.js";
+
+/** "20% off, up to ₹100, min order ₹199" */
+export function keyTerms(terms) {
+  if (!terms) return "";
+  return [
+    describeDiscount(terms),
+    terms.cap && terms.kind !== "upto" ? t("terms.upTo", { amount: formatRupees(terms.cap) }) : "",
+    terms.minOrder ? t("terms.minOrder", { amount: formatRupees(terms.minOrder) }) : "",
+  ]
+    .filter(Boolean)
+    .join(", ");
+}
+
+/** Every distinct coupon code, in display order */
+export function allCouponCodes(groups) {
+  const codes = groups.flatMap((g) => g.list.map((w) => couponCode(w.offer).trim()));
+  return [...new Set(codes.filter(Boolean))];
+}
+
+/** WhatsApp-friendly summary (*bold* platform names) */
+export function offersSummaryText(groups, methodNames) {
+  const lines = [t("share.heading", { methods: methodNames.join(", ") })];
+  for (const { platform, list } of groups) {
+    if (!list.length) continue;
+    lines.push("", `*${platform.name}*`);
+    for (const w of list) {
+      const title = offerTitle(w.offer) || t("share.offer");
+      const code = couponCode(w.offer);
+      const terms = keyTerms(w.terms);
+      let line = `• ${title}`;
+      if (code && code !== title) line += ` (${t("share.code", { code })})`;
+      if (terms) line += `: ${terms}`;
+      lines.push(line);
+    }
+  }
+  return lines.join("\n");
+}
+
+/** -------------------- PNG -------------------- */
+const IMAGE_WIDTH = 1080;
+const PAD = 32;
+const MAX_IMAGE_CARDS = 40; // keeps the canvas well under browser size limits
+const FONT = "'Libre Baskerville', Georgia, serif";
+
+/** Lines of `text` that fit `width` at the context's current font */
+function wrapText(ctx, text, width, maxLines) {
+  const words = String(text || "").split(/\s+/).filter(Boolean);
+  const lines = [];
+  let line = "";
+  for (const word of words) {
+    const next = line ? `${line} ${word}` : word;
+    if (ctx.measureText(next).width <= width || !line) line = next;
+    else {
+      lines.push(line);
+      line = word;
+    }
+  }
+  if (line) lines.push(line);
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = `${lines[maxLines - 1].replace(/\s*\S*$/, "")}…`;
+  }
+  return lines;
+}
+
+/** " (Effective value ₹80)" when the cashback discount changes what a saving is worth */
+const effectiveSuffix = (face, effective) =>
+  effective !== face ? ` (${t("card.effectiveValue", { amount: formatRupees(effective) })})` : "";
+
+/** "Best combination on Zomato: 10% off + SAVE50 coupon = ₹145 total" */
+function describeStack(w, platform) {
+  const parts = w.stack.parts.map(({ wrapper: part }) => {
+    const code = couponCode(part.offer);
+    if (part.offer === w.offer) return describeDiscount(part.terms) || offerTitle(part.offer);
+    return code ? t("card.couponPart", { code }) : offerTitle(part.offer);
+  });
+  const heading = w.isBestStack
+    ? t("card.bestCombination", { platform: platform.name })
+    : t("card.combine");
+  return `${heading}: ${parts.join(" + ")} ${t("card.total", { amount: formatRupees(w.stack.total) })}${effectiveSuffix(w.stack.total, w.stack.effective)}`;
+}
+
+/** The text lines an OfferCard shows under its title: payout, badges, key terms,
+ *  savings for the order amount and the best coupon combination ([{text, color, bold}]) */
+function cardNotes(w, platform, orderAmount) {
+  const payout = payoutLabel(w.terms);
+  const validity = validityBadge(w.validity);
+  const badges = [
+    ...(w.isTopPick ? [t("card.topPick")] : []),
+    ...(w.isNew ? [t("card.new")] : []),
+    ...(validity ? [validity.label] : []),
+    ...restrictionBadges(w.restrictions).map((b) => b.label),
+  ];
+  const savings = orderAmount && w.savings;
+  const notes = [
+    payout && { text: [payout.label, ...payout.details].join(" · "), color: "#1e7145", bold: true },
+    badges.length && { text: badges.join(" · "), color: "#8a5a00" },
+    { text: keyTerms(w.terms), color: "#1e7145", bold: true },
+    savings && {
+      text:
+        describeSavings(savings, orderAmount) +
+        (savings.eligible ? effectiveSuffix(savings.savings, savings.effective) : ""),
+      color: savings.eligible ? "#1F2D45" : "#b00020",
+    },
+    w.stack && { text: describeStack(w, platform), color: "#1F2D45", bold: true },
+  ];
+  return notes.filter((n) => n && n.text);
+}
+
+/** Draws the offers as stacked cards on a canvas; resolves with a PNG Blob. Each card
+ *  carries the OfferCard's text (title, payout, badges, terms, savings for `orderAmount`,
+ *  best combination, code, description) but not its poster image: those come from other
+ *  sites, and drawing them would taint the canvas so it could no longer be exported. */
+export function drawOffersImage(groups, heading, orderAmount) {
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext("2d");
+  const inner = IMAGE_WIDTH - PAD * 4;
+
+  // lay everything out first so the canvas gets its final height before drawing
+  const blocks = [];
+  let shown = 0;
+  let hidden = 0;
+  for (const { platform, list } of groups) {
+    if (!list.length) continue;
+    const room = Math.max(0, MAX_IMAGE_CARDS - shown);
+    hidden += Math.max(0, list.length - room);
+    if (!room) continue;
+    blocks.push({ kind: "platform", text: platform.name, height: 56 });
+    for (const w of list.slice(0, room)) {
+      ctx.font = `bold 26px ${FONT}`;
+      const title = wrapText(ctx, offerTitle(w.offer) || t("share.offer"), inner, 2);
+      const notes = cardNotes(w, platform, orderAmount).map((n) => {
+        ctx.font = `${n.bold ? "bold " : ""}20px ${FONT}`;
+        return { ...n, lines: wrapText(ctx, n.text, inner, 2) };
+      });
+      ctx.font = `20px ${FONT}`;
+      const desc = wrapText(ctx, firstField(w.offer, LIST_FIELDS.desc) || "", inner, 3);
+      const code = couponCode(w.offer);
+      const noteLines = notes.reduce((n, note) => n + note.lines.length, 0);
+      const height =
+        PAD + title.length * 34 + noteLines * 30 + (code ? 40 : 0) + desc.length * 28 + PAD;
+      blocks.push({ kind: "card", title, notes, desc, code, height });
+      shown += 1;
+    }
+  }
+
+  const headerHeight = 90;
+  const footerHeight = hidden ? 60 : 20;
+  canvas.width = IMAGE_WIDTH;
+  canvas.height = headerHeight + blocks.reduce((h, b) => h + b.height + 16, 0) + footerHeight;
+
+  ctx.fillStyle = "#f7f7f7";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = "#1F2D45";
+  ctx.font = `bold 32px ${FONT}`;
+  ctx.textBaseline = "top";
+  wrapText(ctx, heading, IMAGE_WIDTH - PAD * 2, 1).forEach((l) => ctx.fillText(l, PAD, PAD));
+
+  let y = headerHeight;
+  for (const b of blocks) {
+    if (b.kind === "platform") {
+      ctx.fillStyle = "#1e7145";
+      ctx.font = `bold 28px ${FONT}`;
+      ctx.fillText(b.text, PAD, y + 14);
+    } else {
+      ctx.fillStyle = "#ffffff";
+      ctx.strokeStyle = "#dddddd";
+      ctx.fillRect(PAD, y, IMAGE_WIDTH - PAD * 2, b.height);
+      ctx.strokeRect(PAD, y, IMAGE_WIDTH - PAD * 2, b.height);
+      let ty = y + PAD;
+      ctx.fillStyle = "#1F2D45";
+      ctx.font = `bold 26px ${FONT}`;
+      b.title.forEach((l) => {
+        ctx.fillText(l, PAD * 2, ty);
+        ty += 34;
+      });
+      for (const note of b.notes) {
+        ctx.fillStyle = note.color;
+        ctx.font = `${note.bold ? "bold " : ""}20px ${FONT}`;
+        note.lines.forEach((l) => {
+          ctx.fillText(l, PAD * 2, ty);
+          ty += 30;
+        });
+      }
+      if (b.code) {
+        ctx.font = `bold 20px ${FONT}`;
+        const w = ctx.measureText(b.code).width + 24;
+        ctx.fillStyle = "#fff3cd";
+        ctx.fillRect(PAD * 2, ty, w, 32);
+        ctx.fillStyle = "#6d4c00";
+        ctx.fillText(b.code, PAD * 2 + 12, ty + 6);
+        ty += 40;
+      }
+      ctx.fillStyle = "#444444";
+      ctx.font = `20px ${FONT}`;
+      b.desc.forEach((l) => {
+        ctx.fillText(l, PAD * 2, ty);
+        ty += 28;
+      });
+    }
+    y += b.height + 16;
+  }
+  if (hidden) {
+    ctx.fillStyle = "#666666";
+    ctx.font = `20px ${FONT}`;
+    ctx.fillText(t("share.more", { count: hidden }), PAD, y + 10);
+  }
+
+  return new Promise((resolve, reject) =>
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("Image could not be created"))), "image/png")
+  );
+}
+
+/** -------------------- DOWNLOAD -------------------- */
+/** Save a blob through a temporary download link */
+export function downloadBlob(fileName, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
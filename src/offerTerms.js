@@ -0,0 +1,549 @@
+/** -------------------- OFFER TERMS -------------------- */
+/* Pulls the numbers we can do maths with out of the free-text Offer/Description
+   columns: flat amount or percentage, max-discount cap and minimum order value,
+   plus whether the benefit is an instant discount or cashback and, for cashback, where
+   it lands (bank, a platform wallet or reward coins), when it expires and any monthly cap. */
+
+import { formatCurrency, formatDate, formatPercent, getLocale, t } from "./i18n.js";
+import { LIST_FIELDS, firstField, memoByRow } from "./offerData.js";
+
+const AMOUNT = String.raw`(?:rs\.?|₹|inr)?\s*(\d[\d,]*(?:\.\d+)?)`;
+const RUPEES = String.raw`(?:rs\.?|₹|inr)\s*(\d[\d,]*(?:\.\d+)?)`; // currency marker required
+const NOT_PERCENT = String.raw`(?![\d,.]*\s*%)`; // "up to 50%" is no ₹50 cap: look further on
+
+const PERCENT_RE = /(\d+(?:\.\d+)?)\s*%/i;
+const FLAT_RE = new RegExp(
+  String.raw`(?:rs\.?|₹|inr)\s*(\d[\d,]*)\s*(?:\/-)?\s*(?:off|cashback|instant discount)\b|\bflat\s+(\d[\d,]*)\s*(?:off|cashback)\b`,
+  "i"
+);
+// what sits right before a FLAT_RE match: "upto Rs. 150 cashback" names only a ceiling,
+// "Rs. 15-Rs. 200 cashback" a range whose lower end is all that is certain
+const UP_TO_BEFORE_RE = /\b(?:up\s*to|upto)\s*$/i;
+const RANGE_BEFORE_RE = /(?:rs\.?|₹|inr)?\s*(\d[\d,]*)\s*(?:-|–|to)\s*$/i;
+const CAP_RE = new RegExp(
+  String.raw`(?:\bup\s*to|\bupto|\bmax(?:imum)?(?:\s+instant)?\s+(?:discount|cashback)(?:\s+of)?)\s*:?\s*${AMOUNT}${NOT_PERCENT}`,
+  "i"
+);
+// a bare number after "above" counts only as "order value above 199", so "orders
+// above 2 items" is not a ₹2 minimum
+const MIN_ORDER_RE = new RegExp(
+  String.raw`(?:\bminimum\s+(?:transaction|order)\s+(?:value|amount)(?:\s+of)?|\bmin(?:imum)?\.?(?:\s+(?:order|transaction))?(?:\s+of)?|\border\s+worth|\b(?:order|transaction)\s+(?:value|amount)\s+above)\s*:?\s*${AMOUNT}|\babove\s*:?\s*${RUPEES}`,
+  "i"
+);
+const CASHBACK_RE = /\bcash\s*back\b/i;
+const INSTANT_RE = /\binstant\b|\boff\b|\bdiscount\b/i;
+const COINS_RE = /\b(?:gold|super|neu)\s*coins?\b|\breward\s+points?\b/i;
+// "credited in Zomato Money", "credited to your Amazon Pay Balance"
+const WALLET_NAME_RE =
+  /\bcredited\s+(?:in|to|into|as)\s+(?:your\s+|the\s+)?((?:[A-Z][\w]*\s+){1,3}(?:Money|Wallet|Cash|Balance|Credits?))\b/;
+const WALLET_RE = /\bwallet\b|\b(?:zomato|swiggy)\s+money\b|\bpay\s+balance\b|\bsupercash\b|\bscratch\s*card\b/i;
+const EXPIRY_RE =
+  /\b(?:expir(?:y|es|ing)?\s+(?:of|in|within|after)|(?:valid|usable)\s+(?:for|till))\s+(\d+)\s+days?\b/i;
+const MONTHLY_CAP_RE = new RegExp(
+  String.raw`\bmonthly\s+(?:cashback\s+)?(?:limit|cap)(?:\s+of)?\s*:?\s*${AMOUNT}|(?:rs\.?|₹|inr)\s*(\d[\d,]*)\s*(?:\/-)?\s*(?:per|a|every)\s+month\b`,
+  "i"
+);
+
+const toAmount = (s) => {
+  const n = Number(String(s || "").replace(/,/g, ""));
+  return Number.isFinite(n) && n > 0 ? n : null;
+};
+
+function termsText(offer) {
+  const o = offer || {};
+  return `${o["Offer"] || ""}. ${o["Description"] || ""}`;
+}
+
+/** Parse one offer row into
+ *  { kind, percent, flat, cap, minOrder, benefit, payout, wallet, expiryDays, monthlyCap };
+ *  kind is "percent", "flat" or "upto" (a ceiling only: the saving itself is unknown) */
+function parseTermsFromText(text) {
+  const s = String(text || "");
+  const terms = {
+    kind: null,
+    percent: null,
+    flat: null,
+    cap: null,
+    minOrder: null,
+    benefit: null, // "instant" | "cashback"
+    payout: null, // "instant" | "bank" | "wallet" | "rewards"
+    wallet: null, // where wallet cashback is credited, as the row names it ("Zomato Money")
+    expiryDays: null, // credited cashback / coins lapse after this many days
+    monthlyCap: null, // most cashback the offer pays in a month (₹)
+  };
+
+  const pm = s.match(PERCENT_RE);
+  if (pm) {
+    terms.kind = "percent";
+    terms.percent = toAmount(pm[1]);
+  } else {
+    const fm = s.match(FLAT_RE);
+    if (fm) {
+      const amount = toAmount(fm[1] || fm[2]);
+      const before = s.slice(0, fm.index);
+      const range = before.match(RANGE_BEFORE_RE);
+      if (UP_TO_BEFORE_RE.test(before)) {
+        terms.kind = "upto";
+        terms.cap = amount;
+      } else if (range) {
+        terms.kind = "flat";
+        terms.flat = toAmount(range[1]);
+        terms.cap = amount;
+      } else {
+        terms.kind = "flat";
+        terms.flat = amount;
+      }
+    }
+  }
+
+  const cm = s.match(CAP_RE);
+  if (cm && !terms.cap) terms.cap = toAmount(cm[1]);
+
+  const mm = s.match(MIN_ORDER_RE);
+  if (mm) terms.minOrder = toAmount(mm[1] || mm[2]);
+
+  // "cashback" wins: "instant cashback" still lands after the order
+  // and coins alone count as cashback, paid out later
+  if (CASHBACK_RE.test(s)) terms.benefit = "cashback";
+  else if (INSTANT_RE.test(s)) terms.benefit = "instant";
+  else if (COINS_RE.test(s)) terms.benefit = "cashback";
+
+  // coins beat the wallet, which beats the bank: "cashback + Gold Coins" is a rewards offer,
+  // and cashback that names no wallet is taken to reach the card / bank account
+  if (terms.benefit === "instant") terms.payout = "instant";
+  else if (terms.benefit === "cashback") {
+    const named = s.match(WALLET_NAME_RE);
+    if (COINS_RE.test(s)) terms.payout = "rewards";
+    else if (named || WALLET_RE.test(s)) {
+      terms.payout = "wallet";
+      terms.wallet = named ? named[1] : null;
+    } else terms.payout = "bank";
+
+    const em = s.match(EXPIRY_RE);
+    if (em) terms.expiryDays = toAmount(em[1]);
+    const mc = s.match(MONTHLY_CAP_RE);
+    if (mc) terms.monthlyCap = toAmount(mc[1] || mc[2]);
+  }
+
+  return terms;
+}
+
+export const parseOfferTerms = memoByRow(
+  (offer) => parseTermsFromText(termsText(offer)),
+  () => parseTermsFromText("")
+);
+
+/** Rupee savings for an order amount: { eligible, savings, effective, upTo, reason }.
+ *  `effective` is `savings` after the cashback discount (see effectiveValue); "up to" offers
+ *  promise nothing certain, so their savings stay null and `upTo` carries the ceiling */
+export function computeSavings(terms, amount, cashbackDiscount = 0) {
+  const value = toAmount(amount);
+  if (!terms || !value) return { eligible: true, savings: null, effective: null, reason: "" };
+
+  if (terms.minOrder && value < terms.minOrder) {
+    return {
+      eligible: false,
+      savings: 0,
+      effective: 0,
+      reason: t("terms.needsMinimum", { amount: formatRupees(terms.minOrder) }),
+    };
+  }
+
+  let savings = null;
+  if (terms.kind === "percent" && terms.percent) {
+    savings = (value * terms.percent) / 100;
+    if (terms.cap) savings = Math.min(savings, terms.cap);
+  } else if (terms.kind === "flat" && terms.flat) {
+    savings = Math.min(terms.flat, value);
+  }
+  // a single order can't earn more than the month's cashback limit
+  if (savings !== null && terms.monthlyCap) savings = Math.min(savings, terms.monthlyCap);
+
+  if (savings === null && terms.kind === "upto") {
+    const upTo = Math.min(terms.cap, terms.monthlyCap || Infinity, value);
+    return { eligible: true, savings: null, effective: null, upTo, reason: "" };
+  }
+  if (savings === null) {
+    return { eligible: true, savings: null, effective: null, reason: t("terms.notCalculable") };
+  }
+  savings = Math.floor(savings);
+  return {
+    eligible: true,
+    savings,
+    effective: effectiveValue(terms, savings, cashbackDiscount),
+    reason: "",
+  };
+}
+
+/** OfferCard savings sentence for a computeSavings result (without the effective value) */
+export function describeSavings(savings, amount) {
+  if (!savings.eligible) return t("card.notEligible", { reason: savings.reason });
+  if (savings.savings !== null) {
+    return t("card.youSave", { savings: formatRupees(savings.savings), amount: formatRupees(amount) });
+  }
+  if (savings.upTo) return t("card.saveUpTo", { amount: formatRupees(savings.upTo) });
+  return t("card.notCalculable");
+}
+
+/** Sort wrappers that carry a `savings` result: eligible first, then by effective ₹ saved */
+export function compareBySavings(a, b) {
+  const ea = a.savings?.eligible ? 1 : 0;
+  const eb = b.savings?.eligible ? 1 : 0;
+  if (ea !== eb) return eb - ea;
+  const value = (w) => w.savings?.effective ?? w.savings?.savings ?? -1;
+  return value(b) - value(a);
+}
+
+/* Cart value used to rank offers against each other when none is entered */
+const REFERENCE_ORDER_VALUE = 500;
+
+/** Best wrapper of a group by effective ₹ saved at the cart value (or a typical one);
+ *  null if none is calculable */
+export function pickTopOffer(wrappers, amount, cashbackDiscount = 0) {
+  let best = null;
+  let bestSavings = 0;
+  for (const w of wrappers || []) {
+    const r = computeSavings(w.terms, amount || REFERENCE_ORDER_VALUE, cashbackDiscount);
+    if (r.eligible && r.effective !== null && r.effective > bestSavings) {
+      best = w;
+      bestSavings = r.effective;
+    }
+  }
+  return best;
+}
+
+/** Whole rupees in the active language's number format ("₹1,200", "₹১,২০০") */
+export function formatRupees(n) {
+  return formatCurrency(n);
+}
+
+/** "20% off" / "₹100 off" (or "… cashback") from parsed terms; "" when unknown */
+export function describeDiscount(terms) {
+  if (!terms) return "";
+  const key = terms.benefit === "cashback" ? "terms.cashback" : "terms.off";
+  if (terms.kind === "percent" && terms.percent) return t(key, { value: formatPercent(terms.percent) });
+  if (terms.kind === "flat" && terms.flat) return t(key, { value: formatRupees(terms.flat) });
+  if (terms.kind === "upto" && terms.cap) {
+    return t(key, { value: t("terms.upTo", { amount: formatRupees(terms.cap) }) });
+  }
+  return "";
+}
+
+/** -------------------- CASHBACK VALUE -------------------- */
+/* ₹100 of cashback is worth less than ₹100 off the bill: it arrives after delivery, and
+   wallet money or coins only spend on one platform before they expire. The user picks how
+   much to knock off cashback (a percentage); bank cashback, merely late, loses it once,
+   wallet cashback and coins, late and restricted, lose it twice. */
+
+export const CASHBACK_DISCOUNTS = [0, 10, 20, 30, 50];
+export const DEFAULT_CASHBACK_DISCOUNT = 20;
+
+/** Share of an offer's face value that counts, for a cashback discount in percent */
+export function cashbackFactor(terms, cashbackDiscount) {
+  const keep = 1 - Math.min(Math.max(Number(cashbackDiscount) || 0, 0), 100) / 100;
+  if (terms?.payout === "bank") return keep;
+  if (terms?.payout === "wallet" || terms?.payout === "rewards") return keep * keep;
+  return 1;
+}
+
+/** Whole rupees an offer is really worth; null when the saving itself is unknown */
+export function effectiveValue(terms, savings, cashbackDiscount) {
+  if (savings === null || savings === undefined) return null;
+  return Math.floor(savings * cashbackFactor(terms, cashbackDiscount));
+}
+
+/** OfferCard label for how the benefit is paid: { kind, label, details[] }; null when unstated */
+export function payoutLabel(terms) {
+  if (!terms?.payout) return null;
+  const label =
+    terms.payout === "wallet" && terms.wallet
+      ? t("payout.walletNamed", { wallet: terms.wallet })
+      : t(`payout.${terms.payout}`);
+  const details = [];
+  if (terms.expiryDays) details.push(t("payout.expires", { count: terms.expiryDays }));
+  if (terms.monthlyCap) details.push(t("payout.monthlyCap", { amount: formatRupees(terms.monthlyCap) }));
+  return { kind: terms.payout, label, details };
+}
+
+/** -------------------- RESTRICTIONS -------------------- */
+/* Day-of-week and usage-limit rules ("valid only Friday to Sunday",
+   "valid twice per card per month", "can be availed on every order"). */
+
+const DAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const DAY_RE = String.raw`\b(sunday|monday|tuesday|wednesday|thursday|friday|saturday)s?\b`;
+
+const COUNT_WORDS = {
+  once: 1,
+  one: 1,
+  twice: 2,
+  two: 2,
+  thrice: 3,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+};
+
+const USAGE_RE =
+  /\b(once|twice|thrice|one|two|three|four|five|six|seven|eight|nine|ten|\d+)(?:\s+times?)?\s+per\s+(card|user|customer|account)(?:\s+(?:per\s+(day|week|month)|during\s+(?:the\s+)?offer\s+period))?/i;
+const EVERY_ORDER_RE = /\b(?:on|for)\s+every\s+(?:order|transaction)\b/i;
+const FIRST_ORDERS_RE = /\b(?:first|1st)\s+(?:(\d+)\s+)?(?:order|transaction)s?\b/i;
+
+const dayIndex = (token) => DAY_NAMES.indexOf(String(token || "").toLowerCase());
+
+function parseDays(text) {
+  const s = String(text || "");
+
+  const range = s.match(new RegExp(`${DAY_RE}\\s*(?:to|-|–|through|till)\\s*${DAY_RE}`, "i"));
+  if (range) {
+    const from = dayIndex(range[1]);
+    const to = dayIndex(range[2]);
+    const days = [];
+    for (let d = from; days.length < 7; d = (d + 1) % 7) {
+      days.push(d);
+      if (d === to) break;
+    }
+    return days;
+  }
+  if (/\bweekends?\b/i.test(s)) return [6, 0];
+  if (/\bweekdays?\b/i.test(s)) return [1, 2, 3, 4, 5];
+
+  const named = Array.from(s.matchAll(new RegExp(DAY_RE, "gi")), (m) => dayIndex(m[1]));
+  return named.length ? Array.from(new Set(named)) : null;
+}
+
+function parseUsage(text) {
+  const m = String(text || "").match(USAGE_RE);
+  if (!m) return null;
+  const word = m[1].toLowerCase();
+  const count = COUNT_WORDS[word] || Number(word);
+  if (!count) return null;
+  return {
+    count,
+    per: m[2].toLowerCase() === "card" ? "card" : "user",
+    period: m[3] ? m[3].toLowerCase() : /offer\s+period/i.test(m[0]) ? "offer period" : null,
+  };
+}
+
+/** Parse one offer row into { days, usage, everyOrder, firstOrders } */
+function parseRestrictionsFromText(text) {
+  const s = String(text || "");
+  const first = s.match(FIRST_ORDERS_RE);
+  return {
+    days: parseDays(s), // weekday numbers (0 = Sunday) or null for any day
+    usage: parseUsage(s), // { count, per, period } or null
+    everyOrder: EVERY_ORDER_RE.test(s),
+    firstOrders: first ? Number(first[1] || 1) : null,
+  };
+}
+
+export const parseOfferRestrictions = memoByRow(
+  (offer) => parseRestrictionsFromText(termsText(offer)),
+  () => parseRestrictionsFromText("")
+);
+
+/** True when the offer can be used on the given weekday (0 = Sunday) */
+export function isValidOnDay(restrictions, day) {
+  if (!restrictions || !restrictions.days) return true;
+  return restrictions.days.includes(day);
+}
+
+/** "Mon" in the active language (7 Jan 2024 was a Sunday) */
+const dayShort = (d) =>
+  new Date(2024, 0, 7 + d).toLocaleDateString(getLocale(), { weekday: "short" });
+
+function describeDays(days) {
+  if (days.length === 2 && days.includes(6) && days.includes(0)) return t("badge.weekends");
+  if (days.length === 1) return t("badge.daysOnly", { days: dayShort(days[0]) });
+  const contiguous = days.every((d, i) => i === 0 || d === (days[i - 1] + 1) % 7);
+  const list = contiguous
+    ? `${dayShort(days[0])}–${dayShort(days[days.length - 1])}`
+    : days.map(dayShort).join(", ");
+  return t("badge.daysOnly", { days: list });
+}
+
+function describeUsage({ count, per, period }) {
+  const times = t("badge.times", { count });
+  const perText = t(`badge.per.${per}`);
+  if (!period) return t("badge.usage", { times, per: perText });
+  return t("badge.usagePeriod", { times, per: perText, period: t(`badge.period.${period}`) });
+}
+
+/** Short badge labels for OfferCard */
+export function restrictionBadges(restrictions) {
+  const r = restrictions || {};
+  const out = [];
+  if (r.days) out.push({ kind: "days", label: describeDays(r.days) });
+  if (r.usage) out.push({ kind: "usage", label: describeUsage(r.usage) });
+  if (r.everyOrder) out.push({ kind: "every", label: t("badge.everyOrder") });
+  if (r.firstOrders) {
+    out.push({
+      kind: "first",
+      label:
+        r.firstOrders === 1
+          ? t("badge.firstOrder")
+          : t("badge.firstOrders", { count: r.firstOrders }),
+    });
+  }
+  return out;
+}
+
+/** -------------------- STACKING -------------------- */
+/* Whether a card offer can be used together with a platform's general coupons.
+   An explicit `Stackable` column (YES/NO) wins; otherwise the text decides:
+   "applicable over and above other platform offers" stacks, "cannot be clubbed
+   with any other offer" never does, and anything unstated is treated as not stacking.
+   "Not applicable with buy1get1 & already discounted products" limits which items a
+   coupon covers, not which offers it combines with, so it is only reported. */
+
+const STACKS_RE = /\bover\s+and\s+above\b|\bin\s+addition\s+to\s+(?:other|platform|any)\b|\bcan\s+be\s+(?:clubbed|combined)\b/i;
+const EXCLUSIVE_RE =
+  /\b(?:cannot|can\s*not|can't|not\s+to|will\s+not)\s+be\s+(?:clubbed|combined)\b|\bnot\s+(?:valid|applicable)\s+with\s+(?:any\s+)?other\s+(?:offers?|coupons?|promo)/i;
+const BOGO_RE = /\bbuy\s*1\s*get\s*1\b|\bbuy1get1\b|\bbogo\b/i;
+const DISCOUNTED_RE = /\b(?:already|pre)[-\s]?discounted\b|\bslash(?:ed)?\s+price\b/i;
+
+function parseStackingFromRow(offer) {
+  const s = termsText(offer);
+  const excludes = [];
+  if (BOGO_RE.test(s)) excludes.push("buy1get1");
+  if (DISCOUNTED_RE.test(s)) excludes.push("discounted items");
+
+  const explicit = String(offer["Stackable"] || "").trim();
+  if (/^(yes|y|true|1)$/i.test(explicit)) return { stacks: true, exclusive: false, excludes };
+  if (/^(no|n|false|0)$/i.test(explicit)) return { stacks: false, exclusive: true, excludes };
+
+  const exclusive = EXCLUSIVE_RE.test(s);
+  return { stacks: !exclusive && STACKS_RE.test(s), exclusive, excludes };
+}
+
+/** { stacks, exclusive, excludes } for an offer row */
+export const parseOfferStacking = memoByRow(parseStackingFromRow, () => ({
+  stacks: false,
+  exclusive: false,
+  excludes: [],
+}));
+
+/** True when a card offer's terms allow it on top of a general (non-payment) coupon */
+export function canStackWithCoupon(cardOffer, couponOffer) {
+  return parseOfferStacking(cardOffer).stacks && !parseOfferStacking(couponOffer).exclusive;
+}
+
+/** Best legal way to use a card offer on an order: alone, or after one general coupon it
+ *  stacks with (the coupon comes off first, the card offer applies to what is left).
+ *  Ranked by effective value, so discounted cashback loses to an equal instant saving.
+ *  Returns { amount, total, effective, parts: [{ wrapper, savings }] } or null when
+ *  nothing is calculable */
+export function bestStackFor(cardWrapper, generalWrappers, amount, cashbackDiscount = 0) {
+  const value = toAmount(amount) || REFERENCE_ORDER_VALUE;
+  const alone = computeSavings(cardWrapper.terms, value, cashbackDiscount);
+  let best =
+    alone.eligible && alone.savings !== null
+      ? {
+          amount: value,
+          total: alone.savings,
+          effective: alone.effective,
+          parts: [{ wrapper: cardWrapper, savings: alone.savings }],
+        }
+      : null;
+
+  for (const g of generalWrappers || []) {
+    if (!canStackWithCoupon(cardWrapper.offer, g.offer)) continue;
+    const first = computeSavings(g.terms, value, cashbackDiscount);
+    if (!first.eligible || first.savings === null) continue;
+    const then = computeSavings(cardWrapper.terms, value - first.savings, cashbackDiscount);
+    if (!then.eligible || then.savings === null) continue;
+    const effective = first.effective + then.effective;
+    if (!best || effective > best.effective) {
+      best = {
+        amount: value,
+        total: first.savings + then.savings,
+        effective,
+        parts: [
+          { wrapper: g, savings: first.savings },
+          { wrapper: cardWrapper, savings: then.savings },
+        ],
+      };
+    }
+  }
+  return best;
+}
+
+/** -------------------- VALIDITY -------------------- */
+/* Optional `Valid From` / `Valid Till` columns (see LIST_FIELDS). Both dates are
+   inclusive whole days in the user's local time; rows without dates are always active. */
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const ENDING_SOON_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const monthIndex = (word) => MONTHS.indexOf(String(word || "").slice(0, 3).toLowerCase());
+
+function makeDate(y, m, d) {
+  const year = y < 100 ? 2000 + y : y;
+  const date = new Date(year, m, d);
+  // reject rollovers such as 31/02
+  return date.getFullYear() === year && date.getMonth() === m && date.getDate() === d
+    ? date
+    : null;
+}
+
+/** Local-midnight Date from "2025-12-31", "31/12/2025", "31-12-25", "31 Dec 2025" or "Dec 31, 2025"; null otherwise */
+export function parseOfferDate(text) {
+  const s = String(text || "").trim();
+  if (!s) return null;
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (m) return makeDate(+m[1], +m[2] - 1, +m[3]);
+  m = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+  if (m) return makeDate(+m[3], +m[2] - 1, +m[1]);
+  m = s.match(/^(\d{1,2})(?:st|nd|rd|th)?[\s-]+([a-z]+)[\s,-]+(\d{2}|\d{4})$/i);
+  if (m && monthIndex(m[2]) >= 0) return makeDate(+m[3], monthIndex(m[2]), +m[1]);
+  m = s.match(/^([a-z]+)\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/i);
+  if (m && monthIndex(m[1]) >= 0) return makeDate(+m[3], monthIndex(m[1]), +m[2]);
+  return null;
+}
+
+/** { from, till } Dates (either may be null) */
+export const parseOfferValidity = memoByRow(
+  (offer) => ({
+    from: parseOfferDate(firstField(offer, LIST_FIELDS.validFrom)),
+    till: parseOfferDate(firstField(offer, LIST_FIELDS.validTill)),
+  }),
+  () => ({ from: null, till: null })
+);
+
+const startOfDay = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate());
+
+/** "upcoming" | "expired" | "active" on the given day */
+export function validityStatus(validity, now = new Date()) {
+  const today = startOfDay(now);
+  if (validity?.from && today < validity.from) return "upcoming";
+  if (validity?.till && today > validity.till) return "expired";
+  return "active";
+}
+
+/** Badge for OfferCard: countdown when ending soon, or why an overridden offer is shown */
+export function validityBadge(validity, now = new Date()) {
+  const status = validityStatus(validity, now);
+  const short = (d) => formatDate(d, { day: "numeric", month: "short" });
+  if (status === "expired") {
+    return { kind: "expired", label: t("badge.expired", { date: short(validity.till) }) };
+  }
+  if (status === "upcoming") {
+    return { kind: "upcoming", label: t("badge.starts", { date: short(validity.from) }) };
+  }
+  if (!validity?.till) return null;
+
+  const daysLeft = Math.round((validity.till - startOfDay(now)) / DAY_MS);
+  if (daysLeft > ENDING_SOON_DAYS) return null;
+  const label =
+    daysLeft === 0
+      ? t("badge.endsToday")
+      : daysLeft === 1
+      ? t("badge.endsTomorrow")
+      : t("badge.endsIn", { count: daysLeft });
+  return { kind: "ending", label };
+}
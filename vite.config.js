@@ -1,7 +1,20 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// every file the build puts in /assets, for public/sw.js to precache: index.html
+// only names the entry chunks, not the search worker or the lazily loaded editor
+const assetList = () => ({
+  name: 'asset-list',
+  apply: 'build',
+  generateBundle(_, bundle) {
+    const files = Object.keys(bundle)
+      .filter((file) => file.startsWith('assets/'))
+      .map((file) => `/${file}`)
+    this.emitFile({ type: 'asset', fileName: 'asset-list.json', source: JSON.stringify(files) })
+  },
+})
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), assetList()],
 })